@@ -1,53 +1,253 @@
 // ----> routes/auth.js
 const express = require("express");
-const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
+const crypto = require("crypto");
+const jwt = require("../utils/jwt");
 const User = require("../models/User");
+const RefreshToken = require("../models/RefreshToken");
+const RevokedToken = require("../models/RevokedToken");
+const ApiKey = require("../models/ApiKey");
+const Session = require("../models/Session");
+const OidcState = require("../models/OidcState");
 const auth = require("../middlewares/auth");
+const { requirePermission, requireJwt } = require("../middlewares/authorize");
+const { validateAuth, schemaFromModel, objectId, oneOf, requiredString } = require("../middlewares/validate");
+const { ROLES, PERMISSIONS, permissionsFor } = require("../config/roles");
+const { sendMail } = require("../utils/mailer");
+const loginThrottle = require("../utils/loginThrottle");
+const totp = require("../utils/totp");
+const { recordAuthEvent } = require("../utils/audit");
+const { recordUserVersion } = require("../utils/userHistory");
+const oidc = require("../utils/oidc");
 
 const router = express.Router();
 
-// helper: sign JWT
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+// helper: sign JWT (short-lived; every token gets a jti so it can be revoked)
 function signToken(payload) {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES || "1d",
+  return jwt.sign(payload, {
+    expiresIn: process.env.JWT_EXPIRES || "15m",
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+// helper: store a new refresh token in `family` (one family per session)
+async function createRefreshToken(userId, family) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return refreshToken;
+}
+
+// helper: access token + refresh token pair for a user. Without `session` this is a
+// new login and gets its own session record; a refresh passes the existing one.
+async function issueTokens(user, req, session) {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  if (!session) {
+    session = await Session.create({
+      user: user._id,
+      family: crypto.randomUUID(),
+      userAgent: req.get("user-agent") || "",
+      ip: req.ip,
+      expiresAt,
+    });
+  } else {
+    session.lastSeenAt = new Date();
+    session.expiresAt = expiresAt;
+    await session.save();
+  }
+
+  const token = signToken({
+    id: user._id,
+    email: user.email,
+    roles: user.roles,
+    tv: user.tokenVersion || 0,
+    sid: session._id,
+  });
+  const refreshToken = await createRefreshToken(user._id, session.family);
+  return { token, refreshToken };
+}
+
+// Ends one session: its refresh tokens and, through the auth middleware, its access tokens
+function revokeFamily(family) {
+  const now = new Date();
+  return Promise.all([
+    RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: now }),
+    Session.updateOne({ family, revokedAt: null }, { revokedAt: now }),
+  ]);
+}
+
+function revokeAllSessions(userId) {
+  const now = new Date();
+  return Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: now }),
+    Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: now }),
+  ]);
+}
+
+// helper: short-lived token that only proves the password step of a 2FA login
+function signChallengeToken(user) {
+  return jwt.sign({ id: user._id, typ: "2fa" }, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES || "5m",
   });
 }
 
+// helper: 10 one-time recovery codes; only their hashes are kept
+function generateRecoveryCodes() {
+  return Array.from({ length: 10 }, () => crypto.randomBytes(5).toString("hex"));
+}
+
+// helper: checks a TOTP or recovery code against a user loaded with the 2FA secrets.
+// Marks the code as used on the document; the caller saves it.
+function useSecondFactor(user, code) {
+  const normalized = String(code || "").replace(/[\s-]/g, "").toLowerCase();
+
+  const step = totp.verify(user.twoFactor.secret, normalized);
+  // A TOTP code is only good once, even inside its 30s window
+  if (step !== null && step > (user.twoFactor.lastUsedStep || 0)) {
+    user.twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  const index = user.twoFactor.recoveryCodes.indexOf(hashToken(normalized));
+  if (index !== -1) {
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return "recovery";
+  }
+
+  return null;
+}
+
+// helper: the 423/429 for an attempt loginThrottle.reserve() refused
+function throttled(res, blocked) {
+  res.set("Retry-After", String(blocked.retryAfter));
+  return res.status(blocked.status).json({
+    isError: true,
+    Message: blocked.message,
+    retryAfter: blocked.retryAfter,
+    retryAt: blocked.retryAt,
+  });
+}
+
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// helper: reset tokens are stored hashed, the raw value only goes out by email
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+const RESET_TOKEN_TTL_MS = Number(process.env.RESET_TOKEN_TTL_MINUTES || 30) * 60 * 1000;
+
+// OIDC `state` is only good in the browser that started the login: /oidc/start puts a random
+// value in this cookie and stores its hash with the state, the callback must present it again
+const OIDC_BROWSER_COOKIE = "oidc_browser";
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+
+router.post(
+  "/register",
+  validateAuth({ body: schemaFromModel(User, ["name", "email", "password"], { required: ["password"] }) }),
+  async (req, res) => {
+    try {
+      const { name, email, password } = req.body;
+      const exists = await User.exists({ email });
+      if (exists) {
+        return res.status(409).json({ isError: true, Message: "Email already registered" });
+      }
+
+      // The pre-check can lose a race with a parallel registration; the unique index decides
+      let user;
+      try {
+        user = await User.create({ name, email, password });
+      } catch (err) {
+        if (err.code === 11000) {
+          return res.status(409).json({ isError: true, Message: "Email already registered" });
+        }
+        throw err;
+      }
+      await recordUserVersion({ previous: null, after: user, action: "create", actor: user._id });
+
+      const { token, refreshToken } = await issueTokens(user, req);
+      const { password: _, ...userSafe } = user.toObject();
+
+      return res.status(201).json({
+        isError: false,
+        Message: "Registration success",
+        token,
+        refreshToken,
+        user: userSafe,
+      });
+    } catch (err) {
+      console.error("Register error:", err);
+      return res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
 
 
 router.post(
   "/login",
-  [
-    body("email").isEmail().withMessage("Valid email required"),
-    body("password").notEmpty().withMessage("Password required"),
-  ],
+  validateAuth({ body: { ...schemaFromModel(User, ["email"]), password: requiredString("password") } }),
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ isError: true, errors: errors.array() });
+      const { email, password } = req.body;
+      const keys = loginThrottle.keysFor(email, req.ip);
+
+      // Counted as a failure up front; released again below if the password turns out right
+      const blocked = await loginThrottle.reserve(keys);
+      if (blocked) {
+        recordAuthEvent(req, { type: "login.failure", outcome: "failure", email, reason: `blocked_${blocked.status}` });
+        return throttled(res, blocked);
       }
 
-      const { email, password } = req.body;
-      const user = await User.findOne({ email });
+      // A soft-deleted account can't sign in; it answers like an unknown email
+      const user = await User.findOne({ email, deletedAt: null }).select("+password");
 
       if (!user) {
+        recordAuthEvent(req, { type: "login.failure", outcome: "failure", email, reason: "unknown_email" });
         return res.status(401).json({ isError: true, Message: "Invalid credentials" });
       }
 
       const ok = await user.matchPassword(password);
       if (!ok) {
+        recordAuthEvent(req, { type: "login.failure", outcome: "failure", user: user._id, email, reason: "bad_password" });
         return res.status(401).json({ isError: true, Message: "Invalid credentials" });
       }
 
-      const token = signToken({ id: user._id, email: user.email });
+      // Password is right but a second factor is still owed; the counter is cleared after it
+      if (user.twoFactor && user.twoFactor.enabled) {
+        await loginThrottle.release(keys);
+        return res.json({
+          isError: false,
+          Message: "Two-factor authentication required",
+          twoFactorRequired: true,
+          challengeToken: signChallengeToken(user),
+        });
+      }
+
+      // Only the account counter is cleared; the IP counter keeps decaying on its own
+      await Promise.all([loginThrottle.reset(keys.account), loginThrottle.release({ ip: keys.ip })]);
+
+      const { token, refreshToken } = await issueTokens(user, req);
+      recordAuthEvent(req, { type: "login.success", outcome: "success", user: user._id, email: user.email });
       const { password: _, ...userSafe } = user.toObject();
 
       return res.json({
         isError: false,
         Message: "Login success",
         token,
+        refreshToken,
         user: userSafe,
       });
     } catch (err) {
@@ -58,36 +258,2614 @@ router.post(
 );
 
 
+router.post(
+  "/login/2fa",
+  validateAuth({ body: { challengeToken: requiredString("challengeToken"), code: requiredString("code") } }),
+  async (req, res) => {
+    try {
+      let challenge;
+      try {
+        challenge = jwt.verify(req.body.challengeToken);
+      } catch (err) {
+        challenge = null;
+      }
+      if (!challenge || challenge.typ !== "2fa") {
+        return res.status(401).json({ isError: true, Message: "Invalid/Expired challenge token" });
+      }
+
+      const user = await User.findOne({ _id: challenge.id, deletedAt: null }).select(TWO_FACTOR_FIELDS);
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(401).json({ isError: true, Message: "Invalid/Expired challenge token" });
+      }
+
+      // Code guesses count against the same counters as password guesses
+      const keys = loginThrottle.keysFor(user.email, req.ip);
+      const blocked = await loginThrottle.reserve(keys);
+      if (blocked) {
+        recordAuthEvent(req, {
+          type: "login.failure",
+          outcome: "failure",
+          user: user._id,
+          email: user.email,
+          reason: `blocked_${blocked.status}`,
+        });
+        return throttled(res, blocked);
+      }
+
+      const method = useSecondFactor(user, req.body.code);
+      if (!method) {
+        recordAuthEvent(req, {
+          type: "login.failure",
+          outcome: "failure",
+          user: user._id,
+          email: user.email,
+          reason: "bad_2fa_code",
+        });
+        return res.status(401).json({ isError: true, Message: "Invalid code" });
+      }
+      await user.save();
+      await Promise.all([loginThrottle.reset(keys.account), loginThrottle.release({ ip: keys.ip })]);
+
+      const { token, refreshToken } = await issueTokens(user, req);
+      recordAuthEvent(req, {
+        type: "login.success",
+        outcome: "success",
+        user: user._id,
+        email: user.email,
+        reason: `2fa_${method}`,
+      });
+      const { password: _, twoFactor, ...userSafe } = user.toObject();
+
+      return res.json({
+        isError: false,
+        Message: "Login success",
+        token,
+        refreshToken,
+        user: { ...userSafe, twoFactor: { enabled: true } },
+        recoveryCodesLeft: method === "recovery" ? user.twoFactor.recoveryCodes.length : undefined,
+      });
+    } catch (err) {
+      console.error("2FA login error:", err);
+      return res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.post(
+  "/refresh",
+  validateAuth({ body: { refreshToken: requiredString("refreshToken") } }),
+  async (req, res) => {
+    try {
+      const tokenHash = hashToken(req.body.refreshToken);
+
+      // Atomically retire the presented token so two concurrent refreshes can't both win
+      const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date() }
+      );
+
+      if (!current) {
+        const stale = await RefreshToken.findOne({ tokenHash });
+        if (stale && stale.revokedAt) {
+          // An already-rotated token came back: assume it was stolen and kill the whole family
+          await revokeFamily(stale.family);
+          console.error("Refresh token reuse detected for user", String(stale.user));
+        }
+        return res.status(401).json({ isError: true, Message: "Invalid/Expired refresh token" });
+      }
+
+      const user = await User.findOne({ _id: current.user, deletedAt: null });
+      const session = await Session.findOne({ family: current.family, revokedAt: null });
+      if (!user || !session) {
+        await revokeFamily(current.family);
+        return res.status(401).json({ isError: true, Message: "Invalid/Expired refresh token" });
+      }
+
+      const { token, refreshToken } = await issueTokens(user, req, session);
+      current.replacedBy = hashToken(refreshToken);
+      await current.save();
+
+      return res.json({ isError: false, Message: "Token refreshed", token, refreshToken });
+    } catch (err) {
+      console.error("Refresh error:", err);
+      return res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+// The refresh token is the credential here, so a client can still log out after its access
+// token has expired; a still-valid access token sent along is deny-listed as well
+router.post(
+  "/logout",
+  validateAuth({ body: { refreshToken: requiredString("refreshToken") } }),
+  async (req, res) => {
+    try {
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(req.body.refreshToken) });
+      if (!stored) {
+        return res.status(401).json({ isError: true, Message: "Invalid/Expired refresh token" });
+      }
+      await revokeFamily(stored.family);
+
+      const header = req.headers.authorization || "";
+      const token = header.startsWith("Bearer ") ? header.slice(7) : header;
+      let decoded = null;
+      try {
+        decoded = token ? jwt.verify(token) : null;
+      } catch (err) {
+        decoded = null;
+      }
+      if (decoded && decoded.jti && !decoded.typ && String(decoded.id) === String(stored.user)) {
+        // Deny-list the access token until it would have expired anyway
+        await RevokedToken.updateOne(
+          { jti: decoded.jti },
+          { jti: decoded.jti, expiresAt: new Date(decoded.exp * 1000) },
+          { upsert: true }
+        );
+      }
+
+      res.json({ isError: false, Message: "Logged out" });
+    } catch (err) {
+      console.error("Logout error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.post("/logout-all", auth, requireJwt, async (req, res) => {
+  try {
+    // Bumping tokenVersion invalidates every access token issued so far; __v is the user's ETag
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1, __v: 1 } });
+    await revokeAllSessions(req.user.id);
+
+    res.json({ isError: false, Message: "Logged out from all devices" });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    res.status(500).json({ isError: true, Message: "Internal server error" });
+  }
+});
+
+
+router.post(
+  "/forgot-password",
+  validateAuth({ body: schemaFromModel(User, ["email"]) }),
+  async (req, res) => {
+    try {
+      // Same answer whether or not the account exists, so emails can't be probed
+      const response = { isError: false, Message: "If that email is registered, a reset link has been sent" };
+
+      const user = await User.findOne({ email: req.body.email, deletedAt: null });
+      if (!user) return res.json(response);
+
+      const resetToken = crypto.randomBytes(32).toString("hex");
+      user.resetPasswordToken = hashToken(resetToken);
+      user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+      await user.save();
+
+      const resetUrl = `${process.env.APP_URL || "http://localhost:5000"}/reset-password?token=${resetToken}`;
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Reset your password",
+          text: `Use the link below to reset your password. It expires in ${RESET_TOKEN_TTL_MS / 60000} minutes.\n\n${resetUrl}`,
+        });
+      } catch (err) {
+        // A failure here must look like any other request, or the status would reveal the account
+        console.error("Reset email failed:", err);
+      }
+
+      return res.json(response);
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      return res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.post(
+  "/reset-password",
+  validateAuth({
+    body: { token: requiredString("token"), ...schemaFromModel(User, ["password"], { required: ["password"] }) },
+  }),
+  async (req, res) => {
+    try {
+      const user = await User.findOne({
+        resetPasswordToken: hashToken(req.body.token),
+        resetPasswordExpires: { $gt: new Date() },
+        deletedAt: null,
+      });
+
+      if (!user) {
+        return res.status(400).json({ isError: true, Message: "Invalid or expired reset token" });
+      }
+
+      // Clearing the token on use is what makes it single-use
+      user.password = req.body.password;
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+      await user.save();
+      await revokeAllSessions(user._id);
+
+      return res.json({ isError: false, Message: "Password has been reset" });
+    } catch (err) {
+      console.error("Reset password error:", err);
+      return res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
 router.get("/me", auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select("-password");
+    recordAuthEvent(req, {
+      type: "me.access",
+      outcome: user ? "success" : "failure",
+      user: req.user.id,
+      email: req.user.email,
+      reason: user ? undefined : "user_not_found",
+    });
     if (!user) return res.status(404).json({ isError: true, Message: "User not found" });
-    res.json({ isError: false, user });
+    res.json({ isError: false, user, twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled) });
   } catch (err) {
     res.status(500).json({ isError: true, Message: "Internal server error" });
   }
 });
 
-module.exports = router;
-
-// --- >middlewares/auth.js
-const jwt = require("jsonwebtoken");
 
-module.exports = function auth(req, res, next) {
+router.post("/2fa/enroll", auth, requireJwt, async (req, res) => {
   try {
-    const header = req.headers.authorization || "";
-    // Expecting "Bearer <token>" OR plain token
-    const token = header.startsWith("Bearer ") ? header.slice(7) : header;
-
-    if (!token) {
-      return res.status(401).json({ isError: true, Message: "No token provided" });
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ isError: true, Message: "User not found" });
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ isError: true, Message: "Two-factor authentication is already enabled" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { id, email }
-    next();
+    // Not active until /2fa/verify proves the authenticator app has it
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      isError: false,
+      Message: "Scan the URI with an authenticator app, then verify a code",
+      secret,
+      otpauthUri: totp.otpauthUri({ secret, label: user.email, issuer: process.env.TOTP_ISSUER || "basicNode" }),
+    });
   } catch (err) {
-    return res.status(401).json({ isError: true, Message: "Invalid/Expired token" });
+    console.error("2FA enroll error:", err);
+    res.status(500).json({ isError: true, Message: "Internal server error" });
   }
-};
+});
+
+
+router.post(
+  "/2fa/verify",
+  auth,
+  requireJwt,
+  validateAuth({ body: { code: requiredString("code") } }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+      if (!user) return res.status(404).json({ isError: true, Message: "User not found" });
+      if (!user.twoFactor.pendingSecret) {
+        return res.status(400).json({ isError: true, Message: "No two-factor enrollment in progress" });
+      }
+
+      const step = totp.verify(user.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ isError: true, Message: "Invalid code" });
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+      await user.save();
+
+      res.json({
+        isError: false,
+        Message: "Two-factor authentication enabled. Store the recovery codes somewhere safe",
+        recoveryCodes,
+      });
+    } catch (err) {
+      console.error("2FA verify error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.post(
+  "/2fa/disable",
+  auth,
+  requireJwt,
+  validateAuth({
+    body: {
+      password: { optional: true, isString: { errorMessage: "password must be a string" } },
+      code: requiredString("code"),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(`${TWO_FACTOR_FIELDS} +password`);
+      if (!user) return res.status(404).json({ isError: true, Message: "User not found" });
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ isError: true, Message: "Two-factor authentication is not enabled" });
+      }
+
+      // A stolen access token must not be enough to brute-force the code, so guesses count
+      // against the same counters as /login/2fa
+      const keys = loginThrottle.keysFor(user.email, req.ip);
+      const blocked = await loginThrottle.reserve(keys);
+      if (blocked) return throttled(res, blocked);
+
+      // Accounts created through OIDC have no password; for them the code alone has to do
+      const passwordOk = user.password ? await user.matchPassword(req.body.password || "") : true;
+      const ok = passwordOk && useSecondFactor(user, req.body.code);
+      if (!ok) {
+        return res.status(401).json({ isError: true, Message: "Invalid credentials" });
+      }
+
+      user.twoFactor = { enabled: false };
+      await user.save();
+      await Promise.all([loginThrottle.reset(keys.account), loginThrottle.release({ ip: keys.ip })]);
+
+      res.json({ isError: false, Message: "Two-factor authentication disabled" });
+    } catch (err) {
+      console.error("2FA disable error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.post(
+  "/2fa/recovery-codes",
+  auth,
+  requireJwt,
+  validateAuth({ body: { code: requiredString("code") } }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+      if (!user) return res.status(404).json({ isError: true, Message: "User not found" });
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({ isError: true, Message: "Two-factor authentication is not enabled" });
+      }
+
+      const keys = loginThrottle.keysFor(user.email, req.ip);
+      const blocked = await loginThrottle.reserve(keys);
+      if (blocked) return throttled(res, blocked);
+
+      if (useSecondFactor(user, req.body.code) !== "totp") {
+        return res.status(401).json({ isError: true, Message: "Invalid code" });
+      }
+
+      // Replaces every previous recovery code
+      const recoveryCodes = generateRecoveryCodes();
+      user.twoFactor.recoveryCodes = recoveryCodes.map(hashToken);
+      await user.save();
+      await Promise.all([loginThrottle.reset(keys.account), loginThrottle.release({ ip: keys.ip })]);
+
+      res.json({ isError: false, Message: "New recovery codes generated", recoveryCodes });
+    } catch (err) {
+      console.error("2FA recovery codes error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+router.put(
+  "/admin/users/:id/roles",
+  auth,
+  requirePermission("roles:assign"),
+  validateAuth({
+    params: { id: objectId("user ID") },
+    body: {
+      roles: { isArray: { options: { min: 1 }, errorMessage: "roles must be a non-empty array" } },
+      "roles.*": { isIn: { options: [ROLES], errorMessage: `Role must be one of: ${ROLES.join(", ")}` } },
+    },
+  }),
+  async (req, res) => {
+    try {
+      if (String(req.params.id) === String(req.user.id) && !req.body.roles.includes("admin")) {
+        return res.status(400).json({ isError: true, Message: "You cannot remove your own admin role" });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { roles: [...new Set(req.body.roles)], $inc: { __v: 1 } },
+        { new: true, runValidators: true }
+      ).select("-password");
+      if (!user) return res.status(404).json({ isError: true, Message: "User not found" });
+
+      res.json({ isError: false, Message: "Roles updated", user });
+    } catch (err) {
+      console.error("Assign roles error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+router.post(
+  "/admin/users/:id/unlock",
+  auth,
+  requirePermission("users:unlock"),
+  validateAuth({
+    params: { id: objectId("user ID") },
+    body: { ip: { optional: true, isIP: { errorMessage: "ip must be an IP address" } } },
+  }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).select("email");
+      if (!user) return res.status(404).json({ isError: true, Message: "User not found" });
+
+      await loginThrottle.reset(loginThrottle.keysFor(user.email).account);
+      // Optionally also clear a blocked address, e.g. an office NAT
+      if (req.body && req.body.ip) {
+        await loginThrottle.reset(loginThrottle.keysFor(user.email, req.body.ip).ip);
+      }
+
+      res.json({ isError: false, Message: "Account unlocked" });
+    } catch (err) {
+      console.error("Unlock error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+const API_KEY_DEFAULT_TTL_DAYS = Number(process.env.API_KEY_DEFAULT_TTL_DAYS || 90);
+const API_KEY_MAX_TTL_DAYS = Number(process.env.API_KEY_MAX_TTL_DAYS || 365);
+
+router.post(
+  "/api-keys",
+  auth,
+  requireJwt,
+  validateAuth({
+    body: {
+      ...schemaFromModel(ApiKey, ["name", "expiresAt"], { partial: true, required: ["name"] }),
+      scopes: { isArray: { options: { min: 1 }, errorMessage: "scopes must be a non-empty array" } },
+      "scopes.*": { isIn: { options: [PERMISSIONS], errorMessage: `Scope must be one of: ${PERMISSIONS.join(", ")}` } },
+    },
+  }),
+  async (req, res) => {
+    try {
+      // A key can never do more than its owner's roles allow
+      const granted = permissionsFor(req.user.roles);
+      const denied = req.body.scopes.filter((scope) => !granted.has(scope));
+      if (denied.length) {
+        return res.status(403).json({ isError: true, Message: `Your roles do not grant: ${denied.join(", ")}` });
+      }
+
+      const dayMs = 24 * 60 * 60 * 1000;
+      const expiresAt = req.body.expiresAt
+        ? new Date(req.body.expiresAt)
+        : new Date(Date.now() + API_KEY_DEFAULT_TTL_DAYS * dayMs);
+      if (expiresAt <= new Date() || expiresAt > new Date(Date.now() + API_KEY_MAX_TTL_DAYS * dayMs)) {
+        return res.status(400).json({
+          isError: true,
+          Message: `expiresAt must be in the future and within ${API_KEY_MAX_TTL_DAYS} days`,
+        });
+      }
+
+      const { key, prefix } = ApiKey.generate();
+      const apiKey = await ApiKey.create({
+        user: req.user.id,
+        name: req.body.name,
+        prefix,
+        keyHash: hashToken(key),
+        scopes: [...new Set(req.body.scopes)],
+        expiresAt,
+      });
+
+      const { keyHash: _, ...apiKeySafe } = apiKey.toObject();
+
+      // The raw key is only ever shown here
+      res.status(201).json({ isError: false, Message: "API key created", key, apiKey: apiKeySafe });
+    } catch (err) {
+      console.error("Create API key error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.get("/api-keys", auth, requireJwt, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+    res.json({ isError: false, apiKeys });
+  } catch (err) {
+    console.error("List API keys error:", err);
+    res.status(500).json({ isError: true, Message: "Internal server error" });
+  }
+});
+
+
+router.delete(
+  "/api-keys/:id",
+  auth,
+  requireJwt,
+  validateAuth({ params: { id: objectId("API key ID") } }),
+  async (req, res) => {
+    try {
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      );
+      if (!apiKey) return res.status(404).json({ isError: true, Message: "API key not found" });
+
+      res.json({ isError: false, Message: "API key revoked", apiKey });
+    } catch (err) {
+      console.error("Revoke API key error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+// helper: active sessions of a user, flagging the one making the request
+async function listSessions(userId, currentSessionId) {
+  const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select("-family")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+  return sessions.map((session) => ({ ...session, current: String(session._id) === String(currentSessionId) }));
+}
+
+async function revokeSession(userId, sessionId) {
+  const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+  if (session) await revokeFamily(session.family);
+  return session;
+}
+
+router.get("/sessions", auth, requireJwt, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id, req.user.sessionId);
+    res.json({ isError: false, sessions });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ isError: true, Message: "Internal server error" });
+  }
+});
+
+
+router.delete(
+  "/sessions/:id",
+  auth,
+  requireJwt,
+  validateAuth({ params: { id: objectId("session ID") } }),
+  async (req, res) => {
+    try {
+      const session = await revokeSession(req.user.id, req.params.id);
+      if (!session) return res.status(404).json({ isError: true, Message: "Session not found" });
+      res.json({ isError: false, Message: "Session signed out" });
+    } catch (err) {
+      console.error("Revoke session error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.get(
+  "/admin/users/:id/sessions",
+  auth,
+  requirePermission("sessions:manage"),
+  validateAuth({ params: { id: objectId("user ID") } }),
+  async (req, res) => {
+    try {
+      const sessions = await listSessions(req.params.id, req.user.sessionId);
+      res.json({ isError: false, sessions });
+    } catch (err) {
+      console.error("Admin list sessions error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+router.delete(
+  "/admin/users/:id/sessions/:sessionId",
+  auth,
+  requirePermission("sessions:manage"),
+  validateAuth({ params: { id: objectId("user ID"), sessionId: objectId("session ID") } }),
+  async (req, res) => {
+    try {
+      const session = await revokeSession(req.params.id, req.params.sessionId);
+      if (!session) return res.status(404).json({ isError: true, Message: "Session not found" });
+      res.json({ isError: false, Message: "Session signed out" });
+    } catch (err) {
+      console.error("Admin revoke session error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+router.get(
+  "/oidc/start",
+  validateAuth({ query: { mode: oneOf(["json"], "mode") } }),
+  async (req, res) => {
+    try {
+      if (!oidc.isConfigured()) {
+        return res.status(404).json({ isError: true, Message: "OIDC login is not configured" });
+      }
+
+      const state = crypto.randomBytes(24).toString("hex");
+      const nonce = crypto.randomBytes(24).toString("hex");
+      const codeVerifier = oidc.createCodeVerifier();
+      const browser = crypto.randomBytes(24).toString("hex");
+
+      await OidcState.create({ state, nonce, codeVerifier, browserHash: hashToken(browser) });
+      // Lax still sends it on the provider's top-level redirect back to the callback
+      res.cookie(OIDC_BROWSER_COOKIE, browser, {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: req.secure,
+        path: `${req.baseUrl}/oidc/callback`,
+        maxAge: oidc.config.stateTtlMinutes * 60 * 1000,
+      });
+      const url = await oidc.authorizationUrl({ state, nonce, codeChallenge: oidc.codeChallenge(codeVerifier) });
+
+      // SPAs can ask for the URL instead of following a redirect
+      if (req.query.mode === "json") return res.json({ isError: false, url });
+      res.redirect(url);
+    } catch (err) {
+      console.error("OIDC start error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+
+function oidcAccountDeleted(req, res, user) {
+  recordAuthEvent(req, { type: "login.failure", outcome: "failure", user: user._id, email: user.email, reason: "oidc_deleted" });
+  return res.status(401).json({ isError: true, Message: "This account has been deleted" });
+}
+
+// code and state may only be missing when the provider sent back an error instead
+const unlessProviderError = (field) => ({
+  custom: { options: (value, { req }) => req.query.error !== undefined || (typeof value === "string" && value !== "") },
+  errorMessage: `${field} is required`,
+});
+
+const oidcCallbackQuery = {
+  error: { optional: true, isString: { errorMessage: "error must be a string" } },
+  code: unlessProviderError("code"),
+  state: unlessProviderError("state"),
+};
+
+router.get("/oidc/callback", validateAuth({ query: oidcCallbackQuery }), async (req, res) => {
+  try {
+    const { code, state, error } = req.query;
+    if (error !== undefined) {
+      recordAuthEvent(req, { type: "login.failure", outcome: "failure", reason: `oidc_${error}` });
+      return res.status(401).json({ isError: true, Message: `Identity provider error: ${error}` });
+    }
+
+    // Deleting on read makes every state single-use; the cookie ties it to the browser that started
+    const browser = readCookie(req, OIDC_BROWSER_COOKIE);
+    res.clearCookie(OIDC_BROWSER_COOKIE, { path: `${req.baseUrl}/oidc/callback` });
+    const saved = browser && (await OidcState.findOneAndDelete({
+      state,
+      browserHash: hashToken(browser),
+      expiresAt: { $gt: new Date() },
+    }));
+    if (!saved) {
+      recordAuthEvent(req, { type: "login.failure", outcome: "failure", reason: "oidc_bad_state" });
+      return res.status(400).json({ isError: true, Message: "Invalid or expired state" });
+    }
+
+    let claims;
+    try {
+      const tokens = await oidc.exchangeCode({ code, codeVerifier: saved.codeVerifier });
+      claims = await oidc.verifyIdToken(tokens.id_token, { nonce: saved.nonce });
+    } catch (err) {
+      console.error("OIDC token error:", err.message);
+      recordAuthEvent(req, { type: "login.failure", outcome: "failure", reason: "oidc_bad_token" });
+      return res.status(401).json({ isError: true, Message: "Could not verify identity provider login" });
+    }
+
+    const provider = oidc.config.name;
+    let user = await User.findOne({ identities: { $elemMatch: { provider, subject: claims.sub } } });
+    // Looked up without the deletedAt filter so a deleted account is refused instead of
+    // colliding with a new one on the same identity or email
+    if (user && user.deletedAt) return oidcAccountDeleted(req, res, user);
+
+    if (!user) {
+      // Only link or create by email when the provider explicitly vouches for the address;
+      // a missing email_verified claim is not good enough to take over an existing account
+      if (!claims.email || claims.email_verified !== true) {
+        return res.status(400).json({ isError: true, Message: "Identity provider did not return a verified email" });
+      }
+      user = await User.findOne({ email: claims.email });
+      if (!user) {
+        try {
+          user = await User.create({
+            name: claims.name || claims.preferred_username || claims.email.split("@")[0],
+            email: claims.email,
+            identities: [{ provider, subject: claims.sub }],
+          });
+          await recordUserVersion({ previous: null, after: user, action: "create", actor: user._id });
+        } catch (err) {
+          // A parallel callback or registration created the account first: continue with that one
+          if (err.code !== 11000) throw err;
+          user = await User.findOne({ email: claims.email });
+          if (!user) throw err;
+        }
+      }
+      if (user.deletedAt) return oidcAccountDeleted(req, res, user);
+      if (!user.identities.some((identity) => identity.provider === provider && identity.subject === claims.sub)) {
+        user.identities.push({ provider, subject: claims.sub });
+        await user.save();
+      }
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        isError: false,
+        Message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user),
+      });
+    }
+
+    const { token, refreshToken } = await issueTokens(user, req);
+    recordAuthEvent(req, { type: "login.success", outcome: "success", user: user._id, email: user.email, reason: "oidc" });
+    const { password: _, ...userSafe } = user.toObject();
+
+    return res.json({
+      isError: false,
+      Message: "Login success",
+      token,
+      refreshToken,
+      user: userSafe,
+    });
+  } catch (err) {
+    console.error("OIDC callback error:", err);
+    return res.status(500).json({ isError: true, Message: "Internal server error" });
+  }
+});
+
+module.exports = router;
+
+// --- >middlewares/auth.js
+const crypto = require("crypto");
+const jwt = require("../utils/jwt");
+const User = require("../models/User");
+const RevokedToken = require("../models/RevokedToken");
+const ApiKey = require("../models/ApiKey");
+const Session = require("../models/Session");
+const { recordAuthEvent } = require("../utils/audit");
+
+// Both paths put the same shape on req.user:
+// { id, email, roles, scopes, authMethod: "jwt" | "apiKey", jti, exp, sessionId, apiKeyId }
+// `scopes` is null for JWTs (roles alone decide) and the key's scopes for API keys.
+
+function reject(req, res, reason, Message, user) {
+  recordAuthEvent(req, { type: "token.rejected", outcome: "failure", reason, user });
+  return res.status(401).json({ isError: true, Message });
+}
+
+async function authenticateApiKey(req, res, next, rawKey) {
+  const keyHash = crypto.createHash("sha256").update(rawKey).digest("hex");
+  const apiKey = await ApiKey.findOne({ keyHash, revokedAt: null, expiresAt: { $gt: new Date() } });
+  const user = apiKey && (await User.findOne({ _id: apiKey.user, deletedAt: null }).select("email roles"));
+  if (!user) {
+    return reject(req, res, "invalid_api_key", "Invalid/Expired API key", apiKey && apiKey.user);
+  }
+
+  // Good enough for "last used" and saves a write on every call
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch((err) =>
+      console.error("API key lastUsedAt update failed:", err)
+    );
+  }
+
+  req.user = {
+    id: String(user._id),
+    email: user.email,
+    roles: user.roles,
+    scopes: apiKey.scopes,
+    authMethod: "apiKey",
+    jti: null,
+    exp: Math.floor(apiKey.expiresAt.getTime() / 1000),
+    sessionId: null,
+    apiKeyId: String(apiKey._id),
+  };
+  next();
+}
+
+module.exports = async function auth(req, res, next) {
+  try {
+    const apiKey = req.headers["x-api-key"];
+    if (apiKey) return await authenticateApiKey(req, res, next, apiKey);
+
+    const header = req.headers.authorization || "";
+    // Expecting "Bearer <token>" OR plain token
+    const token = header.startsWith("Bearer ") ? header.slice(7) : header;
+
+    if (!token) {
+      return reject(req, res, "no_token", "No token provided");
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token);
+    } catch (err) {
+      return reject(req, res, err.name === "TokenExpiredError" ? "expired" : "invalid", "Invalid/Expired token");
+    }
+
+    // A 2FA challenge token only unlocks /login/2fa, never a protected route
+    if (decoded.typ) {
+      return reject(req, res, "challenge_token", "Invalid/Expired token", decoded.id);
+    }
+
+    // Revoked by /logout
+    if (decoded.jti && (await RevokedToken.exists({ jti: decoded.jti }))) {
+      return reject(req, res, "revoked", "Token has been revoked", decoded.id);
+    }
+
+    // Revoked by /logout-all, a password reset or a soft delete (which also bumps tokenVersion)
+    const user = await User.findOne({ _id: decoded.id, deletedAt: null }).select("tokenVersion roles");
+    if (!user || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+      return reject(req, res, "revoked", "Token has been revoked", decoded.id);
+    }
+
+    // Revoked by DELETE /sessions/:id (or any other sign-out of that session)
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid).select("revokedAt lastSeenAt");
+      if (!session || session.revokedAt) {
+        return reject(req, res, "session_revoked", "Session has been revoked", decoded.id);
+      }
+      if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+        Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() }).catch((err) =>
+          console.error("Session lastSeenAt update failed:", err)
+        );
+      }
+    }
+
+    // The token carries roles for other services; here the stored roles win so a demotion applies at once
+    req.user = {
+      id: decoded.id,
+      email: decoded.email,
+      roles: user.roles,
+      scopes: null,
+      authMethod: "jwt",
+      jti: decoded.jti,
+      exp: decoded.exp,
+      sessionId: decoded.sid || null,
+      apiKeyId: null,
+    };
+    next();
+  } catch (err) {
+    return res.status(401).json({ isError: true, Message: "Invalid/Expired token" });
+  }
+};
+
+
+// ----> routes/audit.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { validateAuth, oneOf, pagination } = require("../middlewares/validate");
+const AuthEvent = require("../models/AuthEvent");
+const auth = require("../middlewares/auth");
+const { requirePermission } = require("../middlewares/authorize");
+
+// Mounted at the app root: app.use(require("./routes/audit"))
+const router = express.Router();
+
+// GET /audit/auth?user=<id>&type=login.failure,token.rejected&from=2024-01-01&to=2024-02-01&page=1&limit=50
+router.get(
+  "/audit/auth",
+  auth,
+  requirePermission("audit:read"),
+  validateAuth({
+    query: {
+      user: { optional: true, isMongoId: { errorMessage: "user must be a valid ID" } },
+      type: {
+        optional: true,
+        custom: { options: (value) => String(value).split(",").every((type) => AuthEvent.TYPES.includes(type)) },
+        errorMessage: `type must be one or more of: ${AuthEvent.TYPES.join(", ")}`,
+      },
+      outcome: oneOf(["success", "failure"], "outcome"),
+      from: { optional: true, isISO8601: { errorMessage: "from must be an ISO 8601 date" } },
+      to: { optional: true, isISO8601: { errorMessage: "to must be an ISO 8601 date" } },
+      ...pagination(),
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { user, type, outcome, from, to } = req.query;
+      const page = Number(req.query.page || 1);
+      const limit = Number(req.query.limit || 50);
+
+      const filter = {};
+      if (user) filter.user = new mongoose.Types.ObjectId(user);
+      if (type) filter.type = { $in: String(type).split(",") };
+      if (outcome) filter.outcome = outcome;
+      if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+      }
+
+      const [events, total] = await Promise.all([
+        AuthEvent.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        AuthEvent.countDocuments(filter),
+      ]);
+
+      res.json({
+        isError: false,
+        events,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+      });
+    } catch (err) {
+      console.error("Audit query error:", err);
+      res.status(500).json({ isError: true, Message: "Internal server error" });
+    }
+  }
+);
+
+module.exports = router;
+
+
+// ----> utils/audit.js
+const AuthEvent = require("../models/AuthEvent");
+
+// Fire-and-forget: a failing audit write is logged but never breaks the request
+function recordAuthEvent(req, { type, outcome, user, email, reason }) {
+  AuthEvent.create({
+    type,
+    outcome,
+    user: user || null,
+    email: email ? String(email).toLowerCase() : undefined,
+    reason,
+    ip: req.ip,
+    userAgent: req.get("user-agent") || "",
+  }).catch((err) => console.error("Audit write failed:", err));
+}
+
+module.exports = { recordAuthEvent };
+
+
+// ----> models/AuthEvent.js
+const mongoose = require("mongoose");
+
+const TYPES = ["login.success", "login.failure", "token.rejected", "me.access"];
+
+const authEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: TYPES, required: true },
+    outcome: { type: String, enum: ["success", "failure"], required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    email: { type: String },
+    reason: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ type: 1, createdAt: -1 });
+authEventSchema.index({ createdAt: -1 });
+
+authEventSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model("AuthEvent", authEventSchema);
+
+
+// ----> routes/jwks.js
+const express = require("express");
+const { jwks } = require("../utils/jwt");
+
+// Mounted at the app root: app.use(require("./routes/jwks"))
+const router = express.Router();
+
+router.get("/.well-known/jwks.json", (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(jwks());
+  } catch (err) {
+    console.error("JWKS error:", err);
+    res.status(500).json({ isError: true, Message: "Internal server error" });
+  }
+});
+
+module.exports = router;
+
+
+// ----> utils/jwt.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const jsonwebtoken = require("jsonwebtoken");
+
+// Signing keys live in JWT_KEYS_DIR, one PEM per key id:
+//   <kid>.pem      private key (RSA -> RS256, P-256 EC -> ES256), signs and verifies
+//   <kid>.pub.pem  public key only, verifies tokens from a retired key until they expire
+// JWT_SIGNING_KID picks the key new tokens are signed with (default: last private key by name).
+// Without JWT_KEYS_DIR everything falls back to HS256 with JWT_SECRET. When both are set,
+// JWT_SECRET still verifies old tokens without a `kid`, so switching over logs nobody out.
+let keys = null;
+
+function algorithmFor(keyObject) {
+  if (keyObject.asymmetricKeyType === "rsa") return "RS256";
+  if (keyObject.asymmetricKeyType === "ec" && keyObject.asymmetricKeyDetails.namedCurve === "prime256v1") {
+    return "ES256";
+  }
+  throw new Error(`Unsupported JWT key type: ${keyObject.asymmetricKeyType}`);
+}
+
+function loadKeys() {
+  const dir = process.env.JWT_KEYS_DIR;
+  const loaded = { byKid: new Map(), signingKid: null };
+  if (!dir) return loaded;
+
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith(".pem")).sort()) {
+    const pem = fs.readFileSync(path.join(dir, file), "utf8");
+    const isPublic = file.endsWith(".pub.pem");
+    const kid = file.replace(/(\.pub)?\.pem$/, "");
+    const privateKey = isPublic ? null : crypto.createPrivateKey(pem);
+    const publicKey = crypto.createPublicKey(isPublic ? pem : privateKey);
+
+    loaded.byKid.set(kid, { kid, alg: algorithmFor(publicKey), privateKey, publicKey });
+    if (privateKey) loaded.signingKid = kid;
+  }
+
+  // A directory of public keys only would otherwise quietly sign everything with JWT_SECRET
+  if (!loaded.signingKid) throw new Error(`No private signing key found in JWT_KEYS_DIR "${dir}"`);
+  if (process.env.JWT_SIGNING_KID) loaded.signingKid = process.env.JWT_SIGNING_KID;
+  const signing = loaded.byKid.get(loaded.signingKid);
+  if (!signing || !signing.privateKey) {
+    throw new Error(`No private key found for JWT_SIGNING_KID "${loaded.signingKid}"`);
+  }
+  return loaded;
+}
+
+function getKeys() {
+  if (!keys) keys = loadKeys();
+  return keys;
+}
+
+// Re-read JWT_KEYS_DIR after adding or retiring a key
+function reloadKeys() {
+  keys = loadKeys();
+}
+
+// Same options as jsonwebtoken.sign, minus the key
+function sign(payload, options = {}) {
+  const { byKid, signingKid } = getKeys();
+  if (!signingKid) {
+    return jsonwebtoken.sign(payload, process.env.JWT_SECRET, { ...options, algorithm: "HS256" });
+  }
+  const key = byKid.get(signingKid);
+  return jsonwebtoken.sign(payload, key.privateKey, { ...options, algorithm: key.alg, keyid: key.kid });
+}
+
+// Throws like jsonwebtoken.verify on a bad, expired or unknown-key token
+function verify(token) {
+  const decoded = jsonwebtoken.decode(token, { complete: true });
+  if (!decoded) throw new jsonwebtoken.JsonWebTokenError("jwt malformed");
+
+  const { kid } = decoded.header;
+  if (kid) {
+    const key = getKeys().byKid.get(kid);
+    if (!key) throw new jsonwebtoken.JsonWebTokenError(`unknown kid "${kid}"`);
+    return jsonwebtoken.verify(token, key.publicKey, { algorithms: [key.alg] });
+  }
+
+  if (!process.env.JWT_SECRET) throw new jsonwebtoken.JsonWebTokenError("token has no kid");
+  return jsonwebtoken.verify(token, process.env.JWT_SECRET, { algorithms: ["HS256"] });
+}
+
+// Public keys as a JSON Web Key Set for /.well-known/jwks.json
+function jwks() {
+  return {
+    keys: [...getKeys().byKid.values()].map((key) => ({
+      ...key.publicKey.export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    })),
+  };
+}
+
+// Load the keys now so a misconfigured JWT_KEYS_DIR stops the app at startup, not at the first login
+getKeys();
+
+module.exports = { sign, verify, jwks, reloadKeys };
+
+
+// ----> models/User.js
+// The one User model. Auth (au.js), the user API (updatedIindex.js), the image uploader and
+// index.js all require this file, so every route reads and writes the same document shape.
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const { ROLES } = require("../config/roles");
+
+// Per-user preferences; missing keys fall back to these defaults
+const settingsSchema = new mongoose.Schema(
+  {
+    theme: { type: String, enum: ["light", "dark", "system"], default: "system" },
+    language: { type: String, default: "en", match: /^[a-z]{2}(-[A-Z]{2})?$/ },
+    timezone: { type: String, default: "UTC", maxlength: 64 },
+    notifications: {
+      email: { type: Boolean, default: true },
+      sms: { type: Boolean, default: false },
+      push: { type: Boolean, default: true },
+    },
+  },
+  { _id: false }
+);
+
+// Fields clients may set through the user routes; everything else is managed by its own flow
+// (login, roles, 2FA, image upload, soft delete)
+const PROFILE_FIELDS = ["name", "email", "age", "city", "isActive", "tags", "categories", "settings", "mobile", "address"];
+
+const userSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email address"],
+    },
+    age: { type: Number, min: 0, max: 120, validate: Number.isInteger },
+    city: { type: String, trim: true, maxlength: 100 },
+    isActive: { type: Boolean, default: true },
+    tags: { type: [{ type: String, trim: true, lowercase: true }], index: true },
+    categories: { type: [{ type: String, trim: true, lowercase: true }], index: true },
+    settings: { type: settingsSchema, default: () => ({}) },
+    mobile: { type: String, trim: true, maxlength: 20 },
+    address: { type: String, trim: true, maxlength: 500 },
+    // Profile picture from the image uploader; only loaded when asked for with +image
+    image: {
+      type: new mongoose.Schema({ data: Buffer, contentType: String }, { _id: false }),
+      select: false,
+    },
+    // Only loaded when asked for with +password. Users created through the user API or an
+    // identity provider may have none; forgot-password lets them set one.
+    password: { type: String, minlength: 8, select: false },
+    resetPasswordToken: { type: String, select: false },
+    resetPasswordExpires: { type: Date, select: false },
+    roles: { type: [{ type: String, enum: ROLES }], default: ["viewer"] },
+    tokenVersion: { type: Number, default: 0 },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      recoveryCodes: { type: [String], select: false },
+      lastUsedStep: { type: Number, select: false },
+    },
+    identities: [
+      {
+        _id: false,
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+      },
+    ],
+    // Soft delete: set by DELETE /users/:id, cleared by restore, hard-deleted by the purge job
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  {
+    timestamps: true,
+    // Every save() bumps __v and fails with a VersionError if the stored version moved on.
+    // __v is also the user's ETag, so every update query must $inc it too, auth writes included.
+    optimisticConcurrency: true,
+  }
+);
+
+// Hash on every password change (register and reset both go through save)
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("password") || !this.password) return next();
+  this.password = await bcrypt.hash(this.password, Number(process.env.BCRYPT_ROUNDS || 10));
+  next();
+});
+
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
+// Backs ?q= on /search; a name match counts most, then city, then tags
+userSchema.index(
+  { name: "text", city: "text", tags: "text" },
+  { name: "UserTextIndex", weights: { name: 10, city: 5, tags: 2 } }
+);
+
+// Needs a document loaded with +password
+userSchema.methods.matchPassword = async function (candidate) {
+  if (!this.password) return false;
+  return bcrypt.compare(candidate, this.password);
+};
+
+const User = mongoose.model("User", userSchema);
+User.PROFILE_FIELDS = PROFILE_FIELDS;
+
+module.exports = User;
+
+
+// ----> utils/userPurge.js
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Review = require("../models/Review");
+const UserVersion = require("../models/UserVersion");
+
+// Hard delete of users soft-deleted more than USER_RETENTION_DAYS ago, shared by the user API
+// (updatedIindex.js) and the image uploader so only one job runs per process, whichever of them
+// starts it. USER_PURGE_INTERVAL_MINUTES=0 turns it off, e.g. on all instances but one.
+const USER_RETENTION_DAYS = Number(process.env.USER_RETENTION_DAYS || 30);
+const USER_PURGE_INTERVAL_MINUTES = Number(process.env.USER_PURGE_INTERVAL_MINUTES || 60);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeListeners = [];
+let timer = null;
+
+// When a user soft-deleted at `deletedAt` becomes due for the purge
+function purgeDate(deletedAt) {
+  return new Date(deletedAt.getTime() + USER_RETENTION_DAYS * DAY_MS);
+}
+
+// listener(ids, deletedCount) runs after every purge that removed users, e.g. to drop data kept elsewhere
+function onUsersPurged(listener) {
+  purgeListeners.push(listener);
+}
+
+// History (with the old values kept in it), posts and reviews of the purged users go too, and the
+// ratings of the products they reviewed are recalculated without them
+async function removeUserContent(ids) {
+  const reviews = await Review.find({ user: { $in: ids } }, "product");
+  await Promise.all([
+    UserVersion.deleteMany({ user: { $in: ids } }),
+    Post.deleteMany({ author: { $in: ids } }),
+    Review.deleteMany({ user: { $in: ids } }),
+  ]);
+  const productIds = [...new Set(reviews.map((review) => String(review.product)))];
+  await Promise.all(productIds.map((productId) => Review.updateProductRating(productId)));
+}
+
+// The image is stored on the user document, so it goes with it
+async function purgeDeletedUsers() {
+  const cutoff = new Date(Date.now() - USER_RETENTION_DAYS * DAY_MS);
+  const expired = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }, "_id");
+  if (expired.length === 0) return 0;
+
+  const ids = expired.map((user) => user._id);
+  // deletedAt is checked again in case a user was restored in the meantime
+  const { deletedCount } = await User.deleteMany({ _id: { $in: ids }, deletedAt: { $ne: null, $lte: cutoff } });
+  const stillThere = await User.find({ _id: { $in: ids } }, "_id");
+  const purgedIds = ids.filter((id) => !stillThere.some((user) => user._id.equals(id)));
+  await removeUserContent(purgedIds);
+  for (const listener of purgeListeners) await listener(purgedIds, deletedCount);
+  return deletedCount;
+}
+
+function startUserPurge() {
+  if (timer || !USER_PURGE_INTERVAL_MINUTES) return;
+  timer = setInterval(() => {
+    purgeDeletedUsers()
+      .then((count) => count && console.log(`Purged ${count} deleted user(s)`))
+      .catch((err) => console.error("User purge failed:", err));
+  }, USER_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+}
+
+module.exports = { purgeDate, onUsersPurged, purgeDeletedUsers, startUserPurge };
+
+
+// ----> models/Post.js
+const mongoose = require("mongoose");
+
+// Posts of the user API (/users/:id/posts); removed with their author by utils/userPurge.js
+const postSchema = new mongoose.Schema(
+  {
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    body: { type: String, default: "" },
+    status: { type: String, enum: ["draft", "published"], default: "draft" },
+    publishedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// First publish stamps the date; unpublishing back to draft keeps it
+postSchema.pre("save", function (next) {
+  if (this.status === "published" && !this.publishedAt) this.publishedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model("Post", postSchema);
+
+
+// ----> models/Product.js
+const mongoose = require("mongoose");
+
+const productSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: "" },
+    price: { type: Number, required: true, min: 0 },
+    category: { type: String, trim: true, lowercase: true, index: true },
+    // Maintained by Review hooks, never written by clients
+    averageRating: { type: Number, default: 0 },
+    reviewCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Product", productSchema);
+
+
+// ----> models/Review.js
+const mongoose = require("mongoose");
+const Product = require("./Product");
+
+const reviewSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    rating: { type: Number, required: true, min: 1, max: 5, validate: Number.isInteger },
+    comment: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+// The user purge finds a user's reviews across products
+reviewSchema.index({ user: 1 });
+
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId) } },
+    { $group: { _id: "$product", averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } },
+  ]);
+  await Product.updateOne(
+    { _id: productId },
+    {
+      averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+      reviewCount: stats ? stats.reviewCount : 0,
+    }
+  );
+};
+
+// Keep the product's aggregate in step with every review change
+reviewSchema.post("save", function (doc) {
+  return doc.constructor.updateProductRating(doc.product);
+});
+reviewSchema.post("findOneAndDelete", function (doc) {
+  if (doc) return doc.constructor.updateProductRating(doc.product);
+});
+
+module.exports = mongoose.model("Review", reviewSchema);
+
+
+// ----> models/UserVersion.js
+const mongoose = require("mongoose");
+
+// One entry per change to a user; `version` is the user's __v (its ETag) after the change
+const userVersionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    version: { type: Number, required: true },
+    action: { type: String, enum: ["create", "update", "delete", "restore", "revert"], required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    // Field-level diff against the previous state; nested settings use dotted paths
+    changes: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+    // Full state after the change, which is what a revert goes back to
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    revertedTo: Number,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+userVersionSchema.index({ user: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("UserVersion", userVersionSchema);
+
+
+// ----> utils/userHistory.js
+const User = require("../models/User");
+const UserVersion = require("../models/UserVersion");
+
+// User history, written by every app that creates, changes, deletes or restores a user.
+// A snapshot is the profile plus the soft-delete state; diffs compare leaf values.
+const SNAPSHOT_FIELDS = [...User.PROFILE_FIELDS, "deletedAt", "deletedBy"];
+
+function userSnapshot(user) {
+  const fields = user.toObject({ depopulate: true });
+  return Object.fromEntries(
+    SNAPSHOT_FIELDS.filter((field) => fields[field] !== undefined).map((field) => [field, fields[field]])
+  );
+}
+
+function flattenForDiff(value, prefix = "", out = {}) {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const isRecord = item !== null && typeof item === "object" && Object.getPrototypeOf(item) === Object.prototype;
+    if (isRecord && Object.keys(item).length) flattenForDiff(item, `${prefix}${key}.`, out);
+    else out[prefix + key] = item;
+  });
+  return out;
+}
+
+// [{ field, from, to }] for every leaf that differs, sorted by field ("settings.theme" etc.)
+function diffSnapshots(before, after) {
+  const from = flattenForDiff(before);
+  const to = flattenForDiff(after);
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .sort()
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map((field) => ({ field, from: from[field], to: to[field] }));
+}
+
+// Records `after` (a saved user document) as a new version. `previous` is the snapshot from
+// before the change, or null for a create. Never throws: the change itself has already been
+// made, so a failed history write is only logged.
+async function recordUserVersion({ previous, after, action, actor, revertedTo }) {
+  try {
+    const snapshot = userSnapshot(after);
+    await UserVersion.create({
+      user: after._id,
+      version: after.__v,
+      action,
+      actor: actor || null,
+      changes: diffSnapshots(previous || {}, snapshot),
+      snapshot,
+      revertedTo,
+    });
+  } catch (err) {
+    console.error(`Failed to record ${action} of user ${after._id}:`, err);
+  }
+}
+
+module.exports = { userSnapshot, diffSnapshots, recordUserVersion };
+
+
+// ----> utils/values.js
+// Helpers for parsed request values, shared by the apps
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Query-string booleans: "true"/"false", anything else is null so callers can answer 400
+function parseBoolean(value, defaultValue) {
+  if (value === undefined) return defaultValue;
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return null;
+}
+
+// User input used inside a RegExp must match literally
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = { isPlainObject, parseBoolean, escapeRegex };
+
+
+// ----> utils/mergePatch.js
+const { isPlainObject } = require("./values");
+
+// RFC 7396 JSON Merge Patch: objects merge recursively, null removes a key, anything else replaces
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.keys(patch).forEach((key) => {
+    if (patch[key] === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], patch[key]);
+  });
+  return result;
+}
+
+module.exports = { applyMergePatch };
+
+
+// ----> utils/cursor.js
+const { isPlainObject } = require("./values");
+
+// ?cursor= mode for /users and /search: an opaque base64url token holding the sort, the boundary
+// row's sort value and _id, and the walking direction. Sorting on (field, _id) gives every row a
+// fixed place, so pages don't drift when rows are added or removed, and each page is one index
+// range scan.
+const CURSOR_SORT_FIELDS = ["_id", "name", "email", "age", "city"];
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+// The cursor's data, or null when it is not one of ours
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    const valid =
+      isPlainObject(data) &&
+      CURSOR_SORT_FIELDS.includes(data.sortBy) &&
+      [1, -1].includes(data.dir) &&
+      typeof data.back === "boolean" &&
+      /^[0-9a-f]{24}$/i.test(data.id) &&
+      (data.value === null || ["string", "number", "boolean"].includes(typeof data.value));
+    return valid ? data : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Rows after `value`/`id` when walking { field: dir, _id: dir }. MongoDB sorts null and
+// missing values lowest, so they need their own branches.
+function keysetFilter(field, dir, value, id) {
+  const op = dir > 0 ? "$gt" : "$lt";
+  if (field === "_id") return { _id: { [op]: id } };
+  const sameValue = { [field]: value, _id: { [op]: id } };
+  if (value === null) return dir > 0 ? { $or: [sameValue, { [field]: { $ne: null } }] } : sameValue;
+  const beyond = { [field]: { [op]: value } };
+  return { $or: dir > 0 ? [beyond, sameValue] : [beyond, sameValue, { [field]: null }] };
+}
+
+// One page in cursor mode. `cursor` is the raw ?cursor= value ("" starts at the first page);
+// a cursor carries its own sort, so sortBy/order only apply to the first page.
+// Resolves to null when the cursor is not one of ours.
+async function findCursorPage(model, filter, { cursor, sortBy, order, limit, projection }) {
+  let state = { sortBy, dir: order === "desc" ? -1 : 1, back: false };
+  if (cursor) {
+    state = decodeCursor(cursor);
+    if (!state) return null;
+  }
+
+  const walk = state.back ? -state.dir : state.dir;
+  // Added under $and so top-level operators such as $text stay where MongoDB wants them
+  const query = cursor
+    ? { ...filter, $and: [...(filter.$and || []), keysetFilter(state.sortBy, walk, state.value, state.id)] }
+    : filter;
+  const sort = state.sortBy === "_id" ? { _id: walk } : { [state.sortBy]: walk, _id: walk };
+
+  const rows = await model.find(query, projection).sort(sort).limit(limit + 1).lean();
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (state.back) items.reverse();
+
+  const cursorAt = (row, back) =>
+    row
+      ? encodeCursor({
+          sortBy: state.sortBy,
+          dir: state.dir,
+          back,
+          value: state.sortBy === "_id" ? null : row[state.sortBy] ?? null,
+          id: String(row._id),
+        })
+      : null;
+
+  return {
+    items,
+    sortBy: state.sortBy,
+    order: state.dir > 0 ? "asc" : "desc",
+    nextCursor: (state.back ? Boolean(cursor) : hasMore) ? cursorAt(items[items.length - 1], false) : null,
+    prevCursor: (state.back ? hasMore : Boolean(cursor)) ? cursorAt(items[0], true) : null,
+  };
+}
+
+module.exports = { CURSOR_SORT_FIELDS, encodeCursor, decodeCursor, keysetFilter, findCursorPage };
+
+
+// ----> utils/userQuery.js
+const User = require("../models/User");
+const { isPlainObject, parseBoolean, escapeRegex } = require("./values");
+
+// ?field[op]=value filters, ?fields= projection and ?sort=-age,name for GET /users, checked
+// against the User schema. Only top-level profile paths count, so settings.*, __v and the auth
+// fields (roles, password, ...) can't be queried, and operators are our own names - anything
+// starting with $ is rejected, never passed on.
+const USER_QUERY_RESERVED = ["page", "limit", "sortBy", "order", "sort", "fields", "cursor", "includeDeleted"];
+const LIST_OPERATORS = ["in", "nin", "all"];
+const OPERATORS_BY_TYPE = {
+  String: ["eq", "ne", "in", "nin", "contains", "exists"],
+  Number: ["eq", "ne", "in", "nin", "gt", "gte", "lt", "lte", "exists"],
+  Date: ["eq", "ne", "in", "nin", "gt", "gte", "lt", "lte", "exists"],
+  Boolean: ["eq", "ne", "exists"],
+  ObjectId: ["eq", "ne", "in", "nin"],
+  Array: ["eq", "ne", "in", "nin", "all", "size", "exists"],
+};
+
+const USER_LISTED_FIELDS = ["_id", ...User.PROFILE_FIELDS, "createdAt", "updatedAt", "deletedAt", "deletedBy"];
+const USER_QUERY_FIELDS = Object.fromEntries(
+  USER_LISTED_FIELDS.map((field) => [field, User.schema.path(field)]).filter(
+    ([, schemaType]) => OPERATORS_BY_TYPE[schemaType.instance]
+  )
+);
+const USER_PROJECTION_FIELDS = USER_LISTED_FIELDS;
+const USER_SORT_FIELDS = Object.keys(USER_QUERY_FIELDS).filter(
+  (field) => USER_QUERY_FIELDS[field].instance !== "Array"
+);
+
+// Query-string text -> the path's type (array paths use their element type); undefined if it doesn't fit
+function castQueryValue(schemaType, raw) {
+  const type = schemaType.instance === "Array" ? schemaType.caster.instance : schemaType.instance;
+  const options = (schemaType.instance === "Array" ? schemaType.caster.options : schemaType.options) || {};
+  const value = String(raw).trim();
+  switch (type) {
+    case "Number":
+      return value === "" || Number.isNaN(Number(value)) ? undefined : Number(value);
+    case "Boolean":
+      return parseBoolean(value, undefined) ?? undefined;
+    case "Date":
+      return Number.isNaN(Date.parse(value)) ? undefined : new Date(value);
+    case "ObjectId":
+      return /^[0-9a-f]{24}$/i.test(value) ? value : undefined;
+    default:
+      return options.lowercase ? value.toLowerCase() : value;
+  }
+}
+
+// Returns { filter, projection, sort } or { error: { field, message, allowed } } for a 400
+function parseUserQuery(query) {
+  const filter = {};
+
+  for (const [field, condition] of Object.entries(query)) {
+    if (USER_QUERY_RESERVED.includes(field)) continue;
+    const schemaType = USER_QUERY_FIELDS[field];
+    if (!schemaType) {
+      return { error: { field, message: "Unknown filter field", allowed: Object.keys(USER_QUERY_FIELDS) } };
+    }
+
+    const allowed = OPERATORS_BY_TYPE[schemaType.instance];
+    // city=Delhi is short for city[eq]=Delhi
+    const conditions = isPlainObject(condition) ? condition : { eq: condition };
+    filter[field] = {};
+
+    for (const [op, raw] of Object.entries(conditions)) {
+      if (!allowed.includes(op)) {
+        return { error: { field: `${field}[${op}]`, message: `Operator "${op}" is not allowed on ${field}`, allowed } };
+      }
+      if (isPlainObject(raw)) {
+        return { error: { field: `${field}[${op}]`, message: "Invalid value" } };
+      }
+      if (Array.isArray(raw) && !LIST_OPERATORS.includes(op)) {
+        return { error: { field: `${field}[${op}]`, message: `Takes one value; use ${field}[in] for several` } };
+      }
+
+      let value;
+      if (LIST_OPERATORS.includes(op)) {
+        // city[in]=Delhi,Mumbai or repeated city[in]=Delhi&city[in]=Mumbai
+        value = []
+          .concat(raw)
+          .flatMap((item) => String(item).split(","))
+          .map((item) => castQueryValue(schemaType, item));
+        if (value.length === 0 || value.includes(undefined)) value = undefined;
+      } else if (op === "exists") {
+        value = parseBoolean(raw, undefined) ?? undefined;
+      } else if (op === "size") {
+        value = /^\d+$/.test(raw) ? Number(raw) : undefined;
+      } else if (op === "contains") {
+        value = new RegExp(escapeRegex(castQueryValue(schemaType, raw)), "i");
+      } else {
+        value = castQueryValue(schemaType, raw);
+      }
+
+      if (value === undefined) {
+        return { error: { field: `${field}[${op}]`, message: `Invalid value: ${[].concat(raw).join(",")}` } };
+      }
+      filter[field][op === "contains" ? "$regex" : `$${op}`] = value;
+    }
+  }
+
+  let projection;
+  if (query.fields) {
+    const fields = String(query.fields)
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean);
+    const unknown = fields.find((field) => !USER_PROJECTION_FIELDS.includes(field));
+    if (unknown) {
+      return { error: { field: "fields", message: `Unknown field: ${unknown}`, allowed: USER_PROJECTION_FIELDS } };
+    }
+    projection = fields.join(" ");
+  }
+
+  // sort=-age,name; the older sortBy/order pair still works
+  const sortSpec = query.sort
+    ? String(query.sort)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : [`${query.order === "desc" ? "-" : ""}${query.sortBy || "name"}`];
+  const sort = {};
+  for (const item of sortSpec) {
+    const field = item.replace(/^[-+]/, "");
+    if (!USER_SORT_FIELDS.includes(field)) {
+      return {
+        error: { field: query.sort ? "sort" : "sortBy", message: `Cannot sort by: ${field}`, allowed: USER_SORT_FIELDS },
+      };
+    }
+    sort[field] = item.startsWith("-") ? -1 : 1;
+  }
+  if (!sort._id) sort._id = 1;
+
+  return { filter, projection, sort };
+}
+
+module.exports = { USER_SORT_FIELDS, parseUserQuery };
+
+
+// ----> config/oidc.js
+// OpenID Connect provider used by /auth/oidc/*. With only OIDC_ISSUER set the endpoints
+// come from the issuer's discovery document; set them explicitly for a mock IdP that has none.
+module.exports = {
+  name: process.env.OIDC_PROVIDER_NAME || "oidc",
+  issuer: process.env.OIDC_ISSUER,
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI || "http://localhost:5000/auth/oidc/callback",
+  scopes: process.env.OIDC_SCOPES || "openid email profile",
+  authorizationEndpoint: process.env.OIDC_AUTHORIZATION_ENDPOINT,
+  tokenEndpoint: process.env.OIDC_TOKEN_ENDPOINT,
+  jwksUri: process.env.OIDC_JWKS_URI,
+  stateTtlMinutes: Number(process.env.OIDC_STATE_TTL_MINUTES || 10),
+};
+
+
+// ----> utils/oidc.js
+const crypto = require("crypto");
+const jsonwebtoken = require("jsonwebtoken");
+const config = require("../config/oidc");
+
+let metadata = null;
+let jwksCache = new Map();
+
+function isConfigured() {
+  return Boolean(config.issuer && config.clientId);
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}: ${body.error_description || body.error || ""}`);
+  }
+  return body;
+}
+
+// Explicit endpoints win over discovery
+async function getMetadata() {
+  if (metadata) return metadata;
+  let discovered = {};
+  if (!config.authorizationEndpoint || !config.tokenEndpoint || !config.jwksUri) {
+    discovered = await fetchJson(`${config.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+  }
+  metadata = {
+    authorizationEndpoint: config.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: config.tokenEndpoint || discovered.token_endpoint,
+    jwksUri: config.jwksUri || discovered.jwks_uri,
+  };
+  return metadata;
+}
+
+// PKCE (RFC 7636), S256 method
+function createCodeVerifier() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function codeChallenge(verifier) {
+  return crypto.createHash("sha256").update(verifier).digest("base64url");
+}
+
+async function authorizationUrl({ state, nonce, codeChallenge: challenge }) {
+  const { authorizationEndpoint } = await getMetadata();
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: "S256",
+  });
+  return `${authorizationEndpoint}?${params}`;
+}
+
+async function exchangeCode({ code, codeVerifier }) {
+  const { tokenEndpoint } = await getMetadata();
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (config.clientSecret) params.set("client_secret", config.clientSecret);
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: params,
+  });
+  if (!tokens.id_token) throw new Error("Token response has no id_token");
+  return tokens;
+}
+
+// Refetches the provider's keys once when it sees a kid it doesn't know (provider rotated)
+async function getSigningKey(kid) {
+  if (!jwksCache.has(kid)) {
+    const { jwksUri } = await getMetadata();
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache = new Map(keys.map((jwk) => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })]));
+  }
+  const key = jwksCache.get(kid);
+  if (!key) throw new Error(`Unknown ID token kid "${kid}"`);
+  return key;
+}
+
+// Checks signature, iss, aud, exp and nonce; returns the claims
+async function verifyIdToken(idToken, { nonce }) {
+  const decoded = jsonwebtoken.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("Malformed ID token");
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jsonwebtoken.verify(idToken, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512", "PS256"],
+    issuer: config.issuer,
+    audience: config.clientId,
+  });
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+  return claims;
+}
+
+module.exports = {
+  config,
+  isConfigured,
+  createCodeVerifier,
+  codeChallenge,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
+
+
+// ----> models/OidcState.js
+const mongoose = require("mongoose");
+const config = require("../config/oidc");
+
+// Pending /auth/oidc/start requests, consumed by the callback
+const oidcStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  nonce: { type: String, required: true },
+  codeVerifier: { type: String, required: true },
+  // SHA-256 of the cookie set on the browser that started the login
+  browserHash: { type: String, required: true },
+  expiresAt: { type: Date, default: () => new Date(Date.now() + config.stateTtlMinutes * 60 * 1000) },
+});
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcState", oidcStateSchema);
+
+
+// ----> middlewares/authorize.js
+const { permissionsFor } = require("../config/roles");
+
+// Use after `auth`, e.g. router.put("/users/:id", auth, requireRole("admin", "editor"), handler)
+// An API key only acts in a role when its scopes cover everything the role grants, so a narrowly
+// scoped key never gets a role-gated route just because its owner could.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const userRoles = (req.user && req.user.roles) || [];
+    const scopes = req.user && req.user.scopes;
+    const inRole = (role) =>
+      userRoles.includes(role) && (!scopes || [...permissionsFor([role])].every((permission) => scopes.includes(permission)));
+    if (!roles.some(inRole)) {
+      return res.status(403).json({ isError: true, Message: "Forbidden" });
+    }
+    next();
+  };
+}
+
+// An API key can only do what its scopes list; login tokens have no scopes
+function scopeAllows(user, permission) {
+  return Boolean(user) && (!user.scopes || user.scopes.includes(permission));
+}
+
+// The user's roles grant `permission` (and, for API keys, the key's scopes include it too).
+// For checks inside a handler, e.g. hasPermission(req.user, "users:delete")
+function hasPermission(user, permission) {
+  return scopeAllows(user, permission) && permissionsFor(user.roles || []).has(permission);
+}
+
+// Passes only if hasPermission holds for every listed permission
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!permissions.every((permission) => hasPermission(req.user, permission))) {
+      return res.status(403).json({ isError: true, Message: "Forbidden" });
+    }
+    next();
+  };
+}
+
+// For account-level actions (logout, 2FA, managing API keys) that an API key must not perform
+function requireJwt(req, res, next) {
+  if (!req.user || req.user.authMethod !== "jwt") {
+    return res.status(403).json({ isError: true, Message: "This action requires a user login token" });
+  }
+  next();
+}
+
+module.exports = { requireRole, requirePermission, requireJwt, hasPermission, scopeAllows };
+
+
+// ----> middlewares/validate.js
+const { checkSchema, checkExact, validationResult } = require("express-validator");
+
+// Runs express-validator schemas against each part of the request. A failure is a 400 in the
+// envelope of the API the route belongs to, with the same `errors` list in both:
+//   user API, image uploader (envelope "success"):
+//     { success: false, message: "Validation failed", errors: [{ location, field, message }] }
+//   auth routes in au.js (envelope "isError", or use validateAuth):
+//     { isError: true, Message: "Validation failed", errors: [{ location, field, message }] }
+// Body fields that aren't declared are refused as "Unknown field"; pass { allowUnknownBody: true }
+// for bodies whose keys are checked by the handler.
+// e.g. router.post("/users", validate({ body: schemaFromModel(User, User.PROFILE_FIELDS) }), handler)
+function validate({ params, query, body }, { allowUnknownBody = false, envelope = "success" } = {}) {
+  const chains = [];
+  if (params) chains.push(checkSchema(params, ["params"]));
+  if (query) chains.push(checkSchema(query, ["query"]));
+  if (body) chains.push(checkSchema(body, ["body"]));
+  if (body && !allowUnknownBody) chains.push(checkExact([], { locations: ["body"] }));
+
+  return [
+    ...chains,
+    (req, res, next) => {
+      const errors = formatErrors(validationResult(req));
+      if (errors.length) return validationFailed(res, errors, envelope);
+      next();
+    },
+  ];
+}
+
+// Runs a body schema against one value outside a request, e.g. each item of a bulk import whose
+// items succeed or fail on their own. Resolves to { errors, value }: errors in the same
+// { location, field, message } form with `prefix` (e.g. "[3].") on each field, and the value with
+// the schema's sanitizers applied.
+async function checkValue(schema, value, { prefix = "" } = {}) {
+  const req = { body: value };
+  for (const chain of [...checkSchema(schema, ["body"]), checkExact([], { locations: ["body"] })]) {
+    await chain.run(req);
+  }
+  const errors = formatErrors(validationResult(req)).map((error) => ({ ...error, field: prefix + error.field }));
+  return { errors, value: req.body };
+}
+
+const ENVELOPES = {
+  success: (errors) => ({ success: false, message: "Validation failed", errors }),
+  isError: (errors) => ({ isError: true, Message: "Validation failed", errors }),
+};
+
+// The same 400 for checks a schema can't express, e.g. one query parameter that depends on another:
+// validationFailed(res, [{ location: "query", field: "sortBy", message: "sortBy=score needs q" }])
+function validationFailed(res, errors, envelope = "success") {
+  return res.status(400).json(ENVELOPES[envelope](errors));
+}
+
+// validate() answering in the auth routes' { isError, Message } envelope
+function validateAuth(schemas, options = {}) {
+  return validate(schemas, { ...options, envelope: "isError" });
+}
+
+// One { location, field, message } per failing field (the first failure only)
+function formatErrors(result) {
+  return result.array({ onlyFirstError: true }).flatMap((error) => {
+    if (error.type === "unknown_fields") {
+      return error.fields.map((field) => ({ location: field.location, field: field.path, message: "Unknown field" }));
+    }
+    return [{ location: error.location, field: error.path, message: error.msg }];
+  });
+}
+
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+const optionMessage = (option) => (Array.isArray(option) ? option[1] : undefined);
+
+// Type and constraint rules for one Mongoose path, named `field` in the request
+function pathRules(schemaType, field) {
+  const options = schemaType.options;
+  const rules = {};
+  const min = optionValue(options.min);
+  const max = optionValue(options.max);
+
+  switch (schemaType.instance) {
+    case "String": {
+      rules.isString = { errorMessage: `${field} must be a string` };
+      if (options.trim) rules.trim = true;
+      const minLength = optionValue(options.minlength);
+      const maxLength = optionValue(options.maxlength);
+      if (minLength !== undefined || maxLength !== undefined) {
+        rules.isLength = {
+          options: { min: minLength, max: maxLength },
+          errorMessage: maxLength === undefined
+            ? `${field} must be at least ${minLength} characters`
+            : minLength === undefined
+              ? `${field} must be at most ${maxLength} characters`
+              : `${field} must be ${minLength}-${maxLength} characters`,
+        };
+      }
+      if (schemaType.enumValues && schemaType.enumValues.length) {
+        rules.isIn = {
+          options: [schemaType.enumValues],
+          errorMessage: `${field} must be one of: ${schemaType.enumValues.join(", ")}`,
+        };
+      }
+      if (options.match) {
+        rules.matches = {
+          options: [optionValue(options.match)],
+          errorMessage: optionMessage(options.match) || `${field} is not in the expected format`,
+        };
+      }
+      break;
+    }
+    case "Number": {
+      // Models mark whole-number paths with validate: Number.isInteger. Numeric strings pass and
+      // are converted, so the handler always gets a number.
+      const integer = options.validate === Number.isInteger;
+      const kind = integer ? "a whole number" : "a number";
+      rules[integer ? "isInt" : "isFloat"] = {
+        options: { min, max },
+        errorMessage: min !== undefined && max !== undefined
+          ? `${field} must be ${kind} between ${min} and ${max}`
+          : min !== undefined
+            ? `${field} must be ${kind} of at least ${min}`
+            : max !== undefined
+              ? `${field} must be ${kind} of at most ${max}`
+              : `${field} must be ${kind}`,
+      };
+      rules[integer ? "toInt" : "toFloat"] = true;
+      break;
+    }
+    case "Boolean":
+      rules.isBoolean = { errorMessage: `${field} must be true or false` };
+      break;
+    case "Date":
+      rules.isISO8601 = { errorMessage: `${field} must be an ISO 8601 date` };
+      break;
+    case "ObjectId":
+      rules.isMongoId = { errorMessage: `${field} must be a valid ID` };
+      break;
+    case "Array":
+      rules.isArray = { errorMessage: `${field} must be an array` };
+      break;
+    case "Embedded":
+      rules.isObject = { options: { strict: true }, errorMessage: `${field} must be an object` };
+      break;
+  }
+  return rules;
+}
+
+// Request schema for `fields` of a Mongoose model. Types, required, min/max, lengths, enum and
+// match all come from the model, so the API refuses what the database would refuse - with
+// field-level messages instead of a ValidationError.
+//   partial: every field optional (PUT/PATCH); nullable fields may be sent as null to clear them
+//   required: fields the route needs even though the model doesn't
+//   prefix: path prefix in the request, e.g. "*." for an array of documents
+function schemaFromModel(Model, fields, { partial = false, required = [], prefix = "" } = {}) {
+  return fieldsSchema(Model.schema, fields, { partial, required, prefix });
+}
+
+function fieldsSchema(schema, fields, { partial, required, prefix }) {
+  const result = {};
+  for (const name of fields) {
+    const schemaType = schema.path(name);
+    if (!schemaType) throw new Error(`schemaFromModel: unknown path "${name}"`);
+    const field = prefix + name;
+    const label = field.replace(/\*\./g, "");
+    const modelRequired = schemaType.options.required === true || Array.isArray(schemaType.options.required);
+    const isRequired = required.includes(name) || (!partial && modelRequired);
+
+    result[field] = isRequired
+      ? { exists: { options: { values: "null" }, errorMessage: `${label} is required`, bail: true } }
+      : { optional: { options: { values: modelRequired ? "undefined" : "null" } } };
+    Object.assign(result[field], pathRules(schemaType, label));
+    if (isRequired && schemaType.instance === "String") {
+      result[field].notEmpty = { errorMessage: `${label} is required` };
+    }
+
+    // Array items and sub-documents get their own rules so errors point at e.g. tags[2]
+    if (schemaType.instance === "Array" && schemaType.caster) {
+      result[`${field}.*`] = pathRules(schemaType.caster, `${label} items`);
+    }
+    if (schemaType.instance === "Embedded") {
+      const subPaths = Object.keys(schemaType.schema.paths).filter((p) => p !== "_id");
+      Object.assign(result, fieldsSchema(schemaType.schema, subPaths, { partial: true, required: [], prefix: `${field}.` }));
+      Object.assign(result, exactObjectRules(schemaType.schema, subPaths, field, label));
+    }
+  }
+  return result;
+}
+
+// checkExact() only looks at top-level body keys, so a sub-document refuses unknown keys itself,
+// at every level: e.g. settings.fax, or settings.notifications.fax. Nested objects such as
+// settings.notifications must be objects when sent (null included).
+function exactObjectRules(schema, subPaths, field, label) {
+  const rules = {};
+  for (const group of ["", ...Object.keys(schema.nested).map((name) => `${name}.`)]) {
+    const known = new Set(
+      subPaths.filter((p) => p.startsWith(group)).map((p) => p.slice(group.length).split(".")[0])
+    );
+    if (group) {
+      rules[`${field}.${group.slice(0, -1)}`] = {
+        optional: { options: { values: "undefined" } },
+        isObject: { options: { strict: true }, errorMessage: `${label}.${group.slice(0, -1)} must be an object` },
+      };
+    }
+    rules[`${field}.${group}*`] = {
+      // undefined: the parent isn't there (or isn't an object), nothing to check
+      custom: { options: (value, { pathValues }) => value === undefined || known.has(pathValues[pathValues.length - 1]) },
+      errorMessage: "Unknown field",
+    };
+  }
+  return rules;
+}
+
+// Building blocks for params and query schemas
+const objectId = (label = "ID") => ({ isMongoId: { errorMessage: `Invalid ${label} format` } });
+
+const oneOf = (values, field) => ({
+  optional: true,
+  isIn: { options: [values], errorMessage: `${field} must be one of: ${values.join(", ")}` },
+});
+
+const booleanFlag = (field) => oneOf(["true", "false"], field);
+
+// A non-empty string the model doesn't describe (tokens, codes, a password to check)
+const requiredString = (field) => ({
+  isString: { errorMessage: `${field} is required` },
+  notEmpty: { errorMessage: `${field} is required` },
+});
+
+const pagination = (maxLimit = 100) => ({
+  page: {
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: "page must be a positive integer" },
+  },
+  limit: {
+    optional: true,
+    isInt: { options: { min: 1, max: maxLimit }, errorMessage: `limit must be between 1 and ${maxLimit}` },
+  },
+});
+
+module.exports = {
+  validate,
+  validateAuth,
+  validationFailed,
+  checkValue,
+  schemaFromModel,
+  objectId,
+  oneOf,
+  booleanFlag,
+  requiredString,
+  pagination,
+};
+
+
+// ----> config/roles.js
+const ROLE_PERMISSIONS = {
+  admin: [
+    "users:read",
+    "users:write",
+    "users:bulk",
+    "users:export",
+    "users:delete",
+    "users:unlock",
+    "images:read",
+    "images:upload",
+    "roles:assign",
+    "sessions:manage",
+    "audit:read",
+    "products:write",
+    "reviews:write",
+    "reviews:moderate",
+    "files:write",
+    "contact:manage",
+  ],
+  editor: [
+    "users:read",
+    "users:write",
+    "images:read",
+    "images:upload",
+    "products:write",
+    "reviews:write",
+    "reviews:moderate",
+    "files:write",
+  ],
+  viewer: ["users:read", "images:read", "reviews:write"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+function permissionsFor(roles) {
+  return new Set(roles.flatMap((role) => ROLE_PERMISSIONS[role] || []));
+}
+
+module.exports = { ROLES, PERMISSIONS, ROLE_PERMISSIONS, permissionsFor };
+
+
+// ----> utils/loginThrottle.js
+const LoginAttempt = require("../models/LoginAttempt");
+
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES || 50);
+const FREE_FAILURES = Number(process.env.LOGIN_FREE_FAILURES || 2);
+const DELAY_BASE_MS = Number(process.env.LOGIN_DELAY_BASE_SECONDS || 1) * 1000;
+const DELAY_MAX_MS = Number(process.env.LOGIN_DELAY_MAX_SECONDS || 30) * 1000;
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000;
+const WINDOW_MS = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15) * 60 * 1000;
+
+// Counters are keyed by email (whether or not the account exists) and by client IP
+function keysFor(email, ip) {
+  return { account: `email:${String(email).trim().toLowerCase()}`, ip: `ip:${ip}` };
+}
+
+function blockedUntil(status, message, date) {
+  return {
+    status,
+    message,
+    retryAt: date,
+    retryAfter: Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000)),
+  };
+}
+
+// 1s, 2s, 4s, ... capped at DELAY_MAX_MS once the free failures are used up
+function delayFor(failures) {
+  if (failures <= FREE_FAILURES) return 0;
+  return Math.min(DELAY_BASE_MS * 2 ** (failures - FREE_FAILURES - 1), DELAY_MAX_MS);
+}
+
+// Counter fields for `failures` failures, the latest at `at`
+function stateFor(failures, at, maxFailures) {
+  const lockedUntil = failures >= maxFailures ? new Date(at.getTime() + LOCKOUT_MS) : null;
+  const delay = lockedUntil ? 0 : delayFor(failures);
+  return {
+    failures,
+    lastFailureAt: at,
+    lockedUntil,
+    nextAttemptAt: delay ? new Date(at.getTime() + delay) : null,
+    expiresAt: new Date(Math.max(at.getTime() + WINDOW_MS, lockedUntil ? lockedUntil.getTime() : 0)),
+  };
+}
+
+// Counts one more attempt on `attempt` (the stored record, or {} for a new key). Returns
+// { blocked: attempt } while it is locked or delayed, otherwise { next } with the fields to store:
+// the new count decides the next delay or a lockout exactly as if the attempt had already failed.
+function reservedState(attempt, now, maxFailures) {
+  if (attempt.lockedUntil > now || attempt.nextAttemptAt > now) return { blocked: attempt };
+  // A lockout that has run out starts a fresh count
+  const failures = attempt.lockedUntil ? 0 : attempt.failures || 0;
+  return { next: stateFor(failures + 1, now, maxFailures) };
+}
+
+// Takes one attempt back and recomputes the delay and lockout from the lower count, so a delay or
+// lock that only the given-back attempt caused is lifted with it
+function releasedState(attempt, maxFailures) {
+  const failures = Math.max((attempt.failures || 0) - 1, 0);
+  if (!failures) return { next: { failures, lockedUntil: null, nextAttemptAt: null } };
+  const { lockedUntil, nextAttemptAt } = stateFor(failures, attempt.lastFailureAt, maxFailures);
+  return { next: { failures, lockedUntil, nextAttemptAt } };
+}
+
+// Applies `change` to the counter for `key` with one findOneAndUpdate conditional on the revision
+// it was computed from. When a parallel request got there first it starts over from a fresh read,
+// so concurrent attempts are counted one after the other and none slips past a stale check.
+async function update(key, change) {
+  for (let tries = 0; tries < 10; tries++) {
+    const attempt = await LoginAttempt.findOne({ key }).lean();
+    const result = change(attempt || {});
+    if (!result.next) return result;
+    try {
+      const saved = await LoginAttempt.findOneAndUpdate(
+        { key, rev: attempt ? attempt.rev ?? null : null },
+        { $set: result.next, $inc: { rev: 1 } },
+        { upsert: !attempt, new: true }
+      );
+      if (saved) return result;
+    } catch (err) {
+      // A parallel request created the record first
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error(`Could not update the login attempts for ${key}`);
+}
+
+const MAX_FAILURES = { account: MAX_ACCOUNT_FAILURES, ip: MAX_IP_FAILURES };
+
+function blockedBy(attempt, now, lockedStatus, lockedMessage) {
+  if (attempt.lockedUntil > now) return blockedUntil(lockedStatus, lockedMessage, attempt.lockedUntil);
+  return blockedUntil(429, "Too many failed attempts, try again later", attempt.nextAttemptAt);
+}
+
+// Call before checking a password or code. Returns null when the attempt may proceed (it now counts
+// as a failure until release() or reset()), otherwise { status, message, retryAt, retryAfter }.
+async function reserve({ account, ip }) {
+  const now = new Date();
+  const accountResult = await update(account, (attempt) => reservedState(attempt, now, MAX_FAILURES.account));
+  if (accountResult.blocked) {
+    return blockedBy(accountResult.blocked, now, 423, "Account temporarily locked");
+  }
+  const ipResult = await update(ip, (attempt) => reservedState(attempt, now, MAX_FAILURES.ip));
+  if (ipResult.blocked) {
+    await release({ account });
+    return blockedBy(ipResult.blocked, now, 429, "Too many failed attempts from this address");
+  }
+  return null;
+}
+
+// Gives back a reserved attempt that turned out not to be a failure
+function release(keys) {
+  return Promise.all(
+    Object.entries(keys).map(([kind, key]) =>
+      update(key, (attempt) => (attempt.failures ? releasedState(attempt, MAX_FAILURES[kind]) : {}))
+    )
+  );
+}
+
+function reset(key) {
+  return LoginAttempt.deleteOne({ key });
+}
+
+module.exports = { keysFor, reserve, release, reset, reservedState, releasedState };
+
+
+// ----> utils/totp.js
+const crypto = require("crypto");
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s steps), the
+// defaults every authenticator app understands.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of clean) {
+    const index = BASE32.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// RFC 4226 HOTP for one counter value
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, "0");
+}
+
+function generate(secret, time = Date.now()) {
+  return hotp(secret, Math.floor(time / 1000 / STEP_SECONDS));
+}
+
+// Returns the matching time step (so callers can reject replays) or null.
+// `window` allows for clock drift of that many steps either way.
+function verify(secret, code, { window = 1, time = Date.now() } = {}) {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+  const current = Math.floor(time / 1000 / STEP_SECONDS);
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function otpauthUri({ secret, label, issuer }) {
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params}`;
+}
+
+module.exports = { generateSecret, generate, verify, otpauthUri };
+
+
+// ----> models/LoginAttempt.js
+const mongoose = require("mongoose");
+
+// Failed-login counter per key ("email:<address>" or "ip:<address>"), shared by all instances
+const loginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date },
+  nextAttemptAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date },
+  // Bumped on every write; updates are conditional on it (see utils/loginThrottle.js)
+  rev: { type: Number },
+});
+
+// A counter is forgotten once its window (or lockout) has passed without new failures
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+
+// ----> models/RefreshToken.js
+const mongoose = require("mongoose");
+
+// Only the hash is stored. Tokens issued from one login share a `family`;
+// each refresh revokes the presented token and issues the next one in the family.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// Mongo drops expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
+
+
+// ----> models/ApiKey.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { PERMISSIONS } = require("../config/roles");
+
+// Personal API keys for scripts, sent as `X-API-Key`. Only a SHA-256 hash of the key
+// is stored; `prefix` is kept in clear so users can tell their keys apart.
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true, select: false },
+    scopes: { type: [{ type: String, enum: PERMISSIONS }], default: [] },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.statics.generate = function () {
+  const key = `bn_${crypto.randomBytes(24).toString("hex")}`;
+  return { key, prefix: key.slice(0, 11) };
+};
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
+
+
+// ----> models/Session.js
+const mongoose = require("mongoose");
+
+// One record per login. `family` ties it to its refresh tokens; access tokens carry the id as `sid`.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    family: { type: String, required: true, unique: true },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Gone once the refresh token chain could no longer renew it
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
+
+
+// ----> models/RevokedToken.js
+const mongoose = require("mongoose");
+
+// Deny-list of access token ids (jti), kept only until the token would expire anyway
+const revokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema);
+
+
+// ----> utils/mailer.js
+const fs = require("fs");
+const path = require("path");
+
+// A transport is any object with `send(message)`; message = { from, to, subject, text, html }
+const transports = {
+  // Local stand-in: every message becomes a JSON file in the outbox directory
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox");
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+      return { id: path.basename(file) };
+    },
+  },
+
+  console: {
+    async send(message) {
+      console.log("📧 Mail:", message);
+      return { id: null };
+    },
+  },
+
+  smtp: {
+    async send(message) {
+      // Only loaded when SMTP is actually used
+      const nodemailer = require("nodemailer");
+      this.client =
+        this.client ||
+        nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT || 587),
+          auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+      const info = await this.client.sendMail(message);
+      return { id: info.messageId };
+    },
+  },
+};
+
+let transport = transports[process.env.MAIL_TRANSPORT || "file"];
+
+// Swap the transport at runtime: a built-in name or a custom { send } object
+function setTransport(nameOrTransport) {
+  const next = typeof nameOrTransport === "string" ? transports[nameOrTransport] : nameOrTransport;
+  if (!next || typeof next.send !== "function") {
+    throw new Error(`Unknown mail transport: ${nameOrTransport}`);
+  }
+  transport = next;
+}
+
+function sendMail(message) {
+  if (!transport) throw new Error(`Unknown mail transport: ${process.env.MAIL_TRANSPORT}`);
+  return transport.send({ from: process.env.MAIL_FROM || "no-reply@localhost", ...message });
+}
 
+module.exports = { sendMail, setTransport };
@@ -1,35 +1,24 @@
 const express = require('express');
-const mongoose = require('mongoose');
 const multer = require('multer');
+const auth = require('../middlewares/auth');
+const { requirePermission, hasPermission } = require('../middlewares/authorize');
+const { validate, schemaFromModel, objectId, booleanFlag } = require('../middlewares/validate');
 const router = express.Router();
 
 
-// User Schema
-const userSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  mobile: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  address: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  image: {
-    data: Buffer,
-    contentType: String
-  }
-}, {
-  timestamps: true
-});
+// The shared User model; the image is stored on the user document and is select: false there
+const User = require('../models/User');
+const { purgeDate, startUserPurge } = require('../utils/userPurge');
+const { userSnapshot, recordUserVersion } = require('../utils/userHistory');
 
-const User = mongoose.model('User', userSchema);
+// Auth internals share the user document; these routes never return them
+const HIDDEN_FIELDS = '-roles -tokenVersion -twoFactor -identities';
+
+// ?includeDeleted=true is only honoured for callers with users:delete; null means refuse
+const visibilityFilter = (req) => {
+  if (req.query.includeDeleted !== 'true') return { deletedAt: null };
+  return hasPermission(req.user, 'users:delete') ? {} : null;
+};
 
 // Multer configuration for image upload
 const storage = multer.memoryStorage();
@@ -47,18 +36,17 @@ const upload = multer({
   }
 });
 
-// Create user with image
-router.post('/users', upload.single('image'), async (req, res) => {
-  try {
-    const { name, mobile, address } = req.body;
+const idParams = { id: objectId('user ID') };
+const visibilityQuery = { includeDeleted: booleanFlag('includeDeleted') };
+// The model leaves mobile and address optional; an uploader profile needs both
+const createUserSchema = {
+  body: schemaFromModel(User, ['name', 'email', 'mobile', 'address'], { required: ['mobile', 'address'] })
+};
 
-    // Validation
-    if (!name || !mobile || !address) {
-      return res.status(400).json({
-        success: false,
-        message: 'Name, mobile, and address are required'
-      });
-    }
+// Create user with image. The form fields are checked after multer has parsed them.
+router.post('/users', auth, requirePermission('images:upload'), upload.single('image'), validate(createUserSchema), async (req, res) => {
+  try {
+    const { name, email, mobile, address } = req.body;
 
     if (!req.file) {
       return res.status(400).json({
@@ -70,6 +58,7 @@ router.post('/users', upload.single('image'), async (req, res) => {
     // Create new user
     const newUser = new User({
       name,
+      email,
       mobile,
       address,
       image: {
@@ -79,6 +68,7 @@ router.post('/users', upload.single('image'), async (req, res) => {
     });
 
     const savedUser = await newUser.save();
+    await recordUserVersion({ previous: null, after: savedUser, action: 'create', actor: req.user.id });
 
     res.status(201).json({
       success: true,
@@ -86,6 +76,7 @@ router.post('/users', upload.single('image'), async (req, res) => {
       data: {
         id: savedUser._id,
         name: savedUser.name,
+        email: savedUser.email,
         mobile: savedUser.mobile,
         address: savedUser.address,
         createdAt: savedUser.createdAt
@@ -93,6 +84,12 @@ router.post('/users', upload.single('image'), async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
     console.error('Error creating user:', error);
     res.status(500).json({
       success: false,
@@ -103,9 +100,17 @@ router.post('/users', upload.single('image'), async (req, res) => {
 });
 
 // Get all users (without image data for performance)
-router.get('/users', async (req, res) => {
+router.get('/users', auth, requirePermission('users:read'), validate({ query: visibilityQuery }), async (req, res) => {
   try {
-    const users = await User.find({}, '-image').sort({ createdAt: -1 });
+    const visibility = visibilityFilter(req);
+    if (!visibility) {
+      return res.status(403).json({
+        success: false,
+        message: 'includeDeleted=true needs permission users:delete'
+      });
+    }
+
+    const users = await User.find(visibility, HIDDEN_FIELDS).sort({ createdAt: -1 });
     
     res.status(200).json({
       success: true,
@@ -122,9 +127,17 @@ router.get('/users', async (req, res) => {
 });
 
 // Get user by ID
-router.get('/users/:id', async (req, res) => {
+router.get('/users/:id', auth, requirePermission('users:read'), validate({ params: idParams, query: visibilityQuery }), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id, '-image');
+    const visibility = visibilityFilter(req);
+    if (!visibility) {
+      return res.status(403).json({
+        success: false,
+        message: 'includeDeleted=true needs permission users:delete'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, ...visibility }, HIDDEN_FIELDS);
     
     if (!user) {
       return res.status(404).json({
@@ -147,20 +160,12 @@ router.get('/users/:id', async (req, res) => {
   }
 });
 
-// Get user image
-router.get('/users/:id/image', async (req, res) => {
+// Get user image (left public: it is loaded through <img src>, which can't send an Authorization header)
+router.get('/users/:id/image', validate({ params: idParams }), async (req, res) => {
   try {
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid user ID format'
-      });
-    }
-
-    const user = await User.findById(req.params.id);
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('+image');
     
-    if (!user || !user.image.data) {
+    if (!user || !user.image || !user.image.data) {
       return res.status(404).json({
         success: false,
         message: 'Image not found'
@@ -179,4 +184,84 @@ router.get('/users/:id/image', async (req, res) => {
   }
 });
 
+// Soft delete user (image is kept until the purge so a restore gets it back)
+router.delete('/users/:id', auth, requirePermission('users:delete'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      // Bumping tokenVersion ends every access token already issued to the user
+      { deletedAt: new Date(), deletedBy: req.user.id, $inc: { __v: 1, tokenVersion: 1 } },
+      { new: true, projection: HIDDEN_FIELDS }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    await recordUserVersion({
+      previous: { ...userSnapshot(user), deletedAt: null, deletedBy: null },
+      after: user,
+      action: 'delete',
+      actor: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User deleted successfully',
+      data: {
+        id: user._id,
+        deletedAt: user.deletedAt,
+        purgeAfter: purgeDate(user.deletedAt)
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Restore soft-deleted user
+router.post('/users/:id/restore', auth, requirePermission('users:delete'), validate({ params: idParams }), async (req, res) => {
+  try {
+    // Without { new: true } this resolves to the user as it was, i.e. still deleted
+    const before = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null, $inc: { __v: 1 } },
+      { projection: HIDDEN_FIELDS }
+    );
+
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'No deleted user with that ID'
+      });
+    }
+    const user = await User.findById(req.params.id, HIDDEN_FIELDS);
+    await recordUserVersion({ previous: userSnapshot(before), after: user, action: 'restore', actor: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'User restored successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// Removes soft-deleted users (and their images) after the retention window; a no-op when
+// the user API already started the job in this process
+startUserPurge();
+
 module.exports = router;
@@ -5,6 +5,7 @@ import Head from 'next/head';
 export default function Profile() {
   const [formData, setFormData] = useState({
     name: '',
+    email: '',
     mobile: '',
     address: ''
   });
@@ -24,6 +25,12 @@ export default function Profile() {
     return '';
   };
 
+  const validateEmail = (email) => {
+    if (!email || email.trim() === '') return 'Email is required';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) return 'Please enter a valid email address';
+    return '';
+  };
+
   const validateMobile = (mobile) => {
     if (!mobile || mobile.trim() === '') return 'Mobile number is required';
     const cleanMobile = mobile.replace(/[\s\-\+\(\)]/g, '');
@@ -51,6 +58,9 @@ export default function Profile() {
     const nameError = validateName(formData.name);
     if (nameError) newErrors.name = nameError;
 
+    const emailError = validateEmail(formData.email);
+    if (emailError) newErrors.email = emailError;
+
     const mobileError = validateMobile(formData.mobile);
     if (mobileError) newErrors.mobile = mobileError;
 
@@ -77,6 +87,9 @@ export default function Profile() {
       case 'name':
         error = validateName(value);
         break;
+      case 'email':
+        error = validateEmail(value);
+        break;
       case 'mobile':
         error = validateMobile(value);
         break;
@@ -115,6 +128,12 @@ export default function Profile() {
     }
   };
 
+  // JWT from the auth router's /login, sent with every API call
+  const authHeaders = () => {
+    const token = localStorage.getItem('token');
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -129,12 +148,14 @@ export default function Profile() {
     try {
       const formDataToSend = new FormData();
       formDataToSend.append('name', formData.name.trim());
+      formDataToSend.append('email', formData.email.trim());
       formDataToSend.append('mobile', formData.mobile.trim());
       formDataToSend.append('address', formData.address.trim());
       formDataToSend.append('image', image);
 
       const response = await fetch('http://localhost:3000/api/users', {
         method: 'POST',
+        headers: authHeaders(),
         body: formDataToSend,
       });
 
@@ -142,14 +163,21 @@ export default function Profile() {
 
       if (result.success) {
         setMessage('User created successfully!');
-        setFormData({ name: '', mobile: '', address: '' });
+        setFormData({ name: '', email: '', mobile: '', address: '' });
         setImage(null);
         setImagePreview(null);
         setErrors({});
         document.getElementById('image-input').value = '';
         fetchUsers();
       } else {
-        setMessage(result.message || 'Error creating user');
+        // Validation failures come back per field; show each under its input
+        if (result.errors) {
+          setErrors(prev => ({
+            ...prev,
+            ...Object.fromEntries(result.errors.map(error => [error.field, error.message]))
+          }));
+        }
+        setMessage(result.message || result.Message || 'Error creating user');
       }
     } catch (error) {
       console.error('Error:', error);
@@ -161,11 +189,15 @@ export default function Profile() {
 
   const fetchUsers = async () => {
     try {
-      const response = await fetch('http://localhost:3000/api/users');
+      const response = await fetch('http://localhost:3000/api/users', {
+        headers: authHeaders(),
+      });
       const result = await response.json();
       
       if (result.success) {
         setUsers(result.data);
+      } else if (response.status === 401 || response.status === 403) {
+        setMessage('Please log in with an account that can view users');
       }
     } catch (error) {
       console.error('Error fetching users:', error);
@@ -223,6 +255,27 @@ export default function Profile() {
                   )}
                 </div>
 
+                {/* Email Field */}
+                <div>
+                  <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleInputChange}
+                    className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                      errors.email ? 'border-red-500' : 'border-gray-300'
+                    }`}
+                    placeholder="Enter your email address"
+                  />
+                  {errors.email && (
+                    <p className="mt-1 text-sm text-red-600">{errors.email}</p>
+                  )}
+                </div>
+
                 {/* Mobile Field */}
                 <div>
                   <label htmlFor="mobile" className="block text-sm font-medium text-gray-700 mb-1">
@@ -361,9 +414,10 @@ export default function Profile() {
                             <span className="font-medium">Address:</span>
                           </p>
                           <p className="text-gray-700 text-xs leading-relaxed px-2">
-                            {user.address.length > 50 
+                            {/* Users added through the main API may have no address */}
+                            {(user.address || '').length > 50 
                               ? `${user.address.substring(0, 50)}...` 
-                              : user.address
+                              : user.address || '-'
                             }
                           </p>
                           
@@ -1,6 +1,11 @@
 
 const express = require("express");
 const mongoose = require("mongoose");
+const User = require("./models/User");
+const { validate, schemaFromModel } = require("./middlewares/validate");
+const auth = require("./middlewares/auth");
+const { requirePermission } = require("./middlewares/authorize");
+const { recordUserVersion } = require("./utils/userHistory");
 
 const app = express();
 const PORT = 5000;
@@ -11,15 +16,6 @@ mongoose.connect("mongodb://127.0.0.1:27017/testDB")
   .catch(err => console.error("❌ DB Connection Error:", err));
 
 
-const userSchema = new mongoose.Schema({
-  name: String,
-  email: String,
-  age: Number
-});
-
-const User = mongoose.model("User", userSchema);
-
-
 app.use(express.json());
 
 
@@ -27,14 +23,22 @@ app.get("/", (req, res) => {
   res.send("Hello from Express + Mongoose!");
 });
 
-app.post("/users", async (req, res) => {
-  const user = new User(req.body);
-  await user.save();
-  res.send({ message: "User saved!", user });
+// name and email are required, age must be 0-120 - the rules come from the shared model.
+// Same accounts as /auth/login, so creating one needs users:write
+app.post("/users", auth, requirePermission("users:write"), validate({ body: schemaFromModel(User, User.PROFILE_FIELDS) }), async (req, res) => {
+  try {
+    const user = new User(req.body);
+    await user.save();
+    await recordUserVersion({ previous: null, after: user, action: "create", actor: req.user.id });
+    res.send({ message: "User saved!", user: await User.findById(user._id).select(User.PROFILE_FIELDS) });
+  } catch (err) {
+    res.status(400).send({ message: "Failed to save user", error: err.message });
+  }
 });
 
+// Soft-deleted users (see DELETE /users/:id in updatedIindex.js) are left out
 app.get("/users", async (req, res) => {
-  const users = await User.find();
+  const users = await User.find({ deletedAt: null }).select(User.PROFILE_FIELDS);
   res.send(users);
 });
 
@@ -0,0 +1,30 @@
+// au.js holds several modules, each starting with a "// ----> path/to/module.js" line.
+// Writes every one of them to build/<path> so they can be required (npm test does this first).
+const fs = require("fs");
+const path = require("path");
+
+const root = path.resolve(__dirname, "..");
+const out = path.join(root, "build");
+const source = fs.readFileSync(path.join(root, "au.js"), "utf8");
+
+fs.rmSync(out, { recursive: true, force: true });
+
+let file = null;
+let lines = [];
+const flush = () => {
+  if (!file) return;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, lines.join("\n").trimEnd() + "\n");
+};
+
+for (const line of source.split("\n")) {
+  const marker = line.match(/^\/\/ -+ ?>\s*(\S+\.js)\s*$/);
+  if (marker) {
+    flush();
+    file = path.join(out, marker[1]);
+    lines = [];
+  } else {
+    lines.push(line);
+  }
+}
+flush();
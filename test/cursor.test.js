@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { encodeCursor, decodeCursor, keysetFilter, findCursorPage } = require("../build/utils/cursor");
+
+const ID = "64a1b2c3d4e5f67890123456";
+const cursor = { sortBy: "name", dir: 1, back: false, value: "Jane", id: ID };
+
+// Stands in for a Mongoose model: records the query and returns `rows` up to the limit
+const fakeModel = (rows) => {
+  const model = {
+    find(query, projection) {
+      model.call = { query, projection };
+      const chain = {
+        sort(sort) {
+          model.call.sort = sort;
+          return chain;
+        },
+        limit(limit) {
+          model.call.limit = limit;
+          return chain;
+        },
+        lean: async () => rows.slice(0, model.call.limit),
+      };
+      return chain;
+    },
+  };
+  return model;
+};
+const row = (n) => ({ _id: `64a1b2c3d4e5f6789012345${n}`, name: `User ${n}` });
+
+test("cursors round-trip through an opaque base64url token", () => {
+  const token = encodeCursor(cursor);
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(decodeCursor(token), cursor);
+  assert.deepStrictEqual(decodeCursor(encodeCursor({ ...cursor, sortBy: "age", dir: -1, value: null })), {
+    ...cursor,
+    sortBy: "age",
+    dir: -1,
+    value: null,
+  });
+});
+
+test("decodeCursor rejects tokens that are not ours", () => {
+  const invalid = [
+    "not a cursor",
+    "",
+    encodeCursor("text"),
+    encodeCursor([cursor]),
+    encodeCursor({ ...cursor, sortBy: "password" }),
+    encodeCursor({ ...cursor, dir: 2 }),
+    encodeCursor({ ...cursor, back: "false" }),
+    encodeCursor({ ...cursor, id: "not-an-id" }),
+    encodeCursor({ ...cursor, value: { $gt: "" } }),
+    encodeCursor({ ...cursor, value: undefined }),
+  ];
+  for (const token of invalid) assert.strictEqual(decodeCursor(token), null, token);
+});
+
+test("keysetFilter continues after the boundary row", () => {
+  assert.deepStrictEqual(keysetFilter("_id", 1, null, ID), { _id: { $gt: ID } });
+  assert.deepStrictEqual(keysetFilter("name", 1, "Jane", ID), {
+    $or: [{ name: { $gt: "Jane" } }, { name: "Jane", _id: { $gt: ID } }],
+  });
+  // Walking down, null and missing values come last
+  assert.deepStrictEqual(keysetFilter("name", -1, "Jane", ID), {
+    $or: [{ name: { $lt: "Jane" } }, { name: "Jane", _id: { $lt: ID } }, { name: null }],
+  });
+});
+
+test("keysetFilter handles a null boundary value", () => {
+  assert.deepStrictEqual(keysetFilter("city", 1, null, ID), {
+    $or: [{ city: null, _id: { $gt: ID } }, { city: { $ne: null } }],
+  });
+  assert.deepStrictEqual(keysetFilter("city", -1, null, ID), { city: null, _id: { $lt: ID } });
+});
+
+test("findCursorPage starts at the first page without a cursor", async () => {
+  const model = fakeModel([row(1), row(2), row(3)]);
+  const page = await findCursorPage(model, { deletedAt: null }, { cursor: "", sortBy: "name", order: "asc", limit: 2 });
+
+  assert.deepStrictEqual(model.call, { query: { deletedAt: null }, projection: undefined, sort: { name: 1, _id: 1 }, limit: 3 });
+  assert.deepStrictEqual(page.items, [row(1), row(2)]);
+  assert.strictEqual(page.order, "asc");
+  assert.strictEqual(page.prevCursor, null);
+  assert.deepStrictEqual(decodeCursor(page.nextCursor), { sortBy: "name", dir: 1, back: false, value: "User 2", id: row(2)._id });
+});
+
+test("findCursorPage has no next cursor on the last page", async () => {
+  const page = await findCursorPage(fakeModel([row(1)]), {}, { cursor: "", sortBy: "_id", order: "desc", limit: 2 });
+  assert.strictEqual(page.nextCursor, null);
+  assert.strictEqual(page.prevCursor, null);
+  assert.strictEqual(page.order, "desc");
+});
+
+test("findCursorPage follows a next cursor with its own sort", async () => {
+  const model = fakeModel([row(3)]);
+  const token = encodeCursor({ ...cursor, value: "User 2", id: row(2)._id });
+  const page = await findCursorPage(model, { $and: [{ age: 30 }] }, { cursor: token, sortBy: "age", order: "desc", limit: 2 });
+
+  assert.deepStrictEqual(model.call.sort, { name: 1, _id: 1 });
+  assert.deepStrictEqual(model.call.query.$and, [{ age: 30 }, keysetFilter("name", 1, "User 2", row(2)._id)]);
+  assert.strictEqual(page.nextCursor, null);
+  assert.deepStrictEqual(decodeCursor(page.prevCursor), { sortBy: "name", dir: 1, back: true, value: "User 3", id: row(3)._id });
+});
+
+test("findCursorPage walks back from a prev cursor and keeps the page order", async () => {
+  const model = fakeModel([row(2), row(1)]);
+  const token = encodeCursor({ ...cursor, back: true, value: "User 3", id: row(3)._id });
+  const page = await findCursorPage(model, {}, { cursor: token, limit: 5 });
+
+  assert.deepStrictEqual(model.call.sort, { name: -1, _id: -1 });
+  assert.deepStrictEqual(page.items, [row(1), row(2)]);
+  assert.strictEqual(page.prevCursor, null);
+  assert.deepStrictEqual(decodeCursor(page.nextCursor), { sortBy: "name", dir: 1, back: false, value: "User 2", id: row(2)._id });
+});
+
+test("findCursorPage resolves to null for a foreign cursor", async () => {
+  assert.strictEqual(await findCursorPage(fakeModel([]), {}, { cursor: "bogus", limit: 5 }), null);
+});
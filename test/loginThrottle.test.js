@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { keysFor, reservedState, releasedState } = require("../build/utils/loginThrottle");
+
+// Default settings: 2 free failures, then 1s, 2s, 4s, ... and a 15 minute lock at the limit
+const MAX = 5;
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const now = new Date("2024-01-01T00:00:00Z");
+const later = (ms) => new Date(now.getTime() + ms);
+
+// The stored record once the attempt at `now` has made it `count` failures
+const afterFailures = (count) => reservedState({ failures: count - 1 }, now, MAX).next;
+
+test("keysFor normalises the email and keeps the ip apart", () => {
+  assert.deepStrictEqual(keysFor(" Jane@Example.COM ", "10.0.0.1"), {
+    account: "email:jane@example.com",
+    ip: "ip:10.0.0.1",
+  });
+});
+
+test("the first attempts on a key are free", () => {
+  const { next } = reservedState({}, now, MAX);
+  assert.deepStrictEqual(next, {
+    failures: 1,
+    lastFailureAt: now,
+    lockedUntil: null,
+    nextAttemptAt: null,
+    expiresAt: later(15 * MINUTE),
+  });
+  assert.strictEqual(reservedState(next, now, MAX).next.nextAttemptAt, null);
+});
+
+test("the delay doubles once the free failures are used up", () => {
+  assert.deepStrictEqual(afterFailures(3).nextAttemptAt, later(SECOND));
+  assert.deepStrictEqual(afterFailures(4).nextAttemptAt, later(2 * SECOND));
+});
+
+test("an attempt inside the delay is blocked without counting", () => {
+  const attempt = afterFailures(3);
+  assert.deepStrictEqual(reservedState(attempt, later(500), MAX), { blocked: attempt });
+  assert.strictEqual(reservedState(attempt, later(SECOND), MAX).next.failures, 4);
+});
+
+test("reaching the limit locks the key instead of delaying it", () => {
+  const attempt = afterFailures(MAX);
+  assert.strictEqual(attempt.failures, MAX);
+  assert.deepStrictEqual(attempt.lockedUntil, later(15 * MINUTE));
+  assert.strictEqual(attempt.nextAttemptAt, null);
+  assert.deepStrictEqual(attempt.expiresAt, later(15 * MINUTE));
+  assert.deepStrictEqual(reservedState(attempt, later(14 * MINUTE), MAX), { blocked: attempt });
+});
+
+test("a lock that has run out starts a fresh count", () => {
+  const { next } = reservedState(afterFailures(MAX), later(15 * MINUTE), MAX);
+  assert.strictEqual(next.failures, 1);
+  assert.strictEqual(next.lockedUntil, null);
+  assert.strictEqual(next.nextAttemptAt, null);
+});
+
+test("releasing the attempt that caused a lock lifts it", () => {
+  const { next } = releasedState(afterFailures(MAX), MAX);
+  assert.deepStrictEqual(next, { failures: MAX - 1, lockedUntil: null, nextAttemptAt: later(2 * SECOND) });
+});
+
+test("releasing the attempt that caused a delay clears it", () => {
+  assert.deepStrictEqual(releasedState(afterFailures(3), MAX).next, {
+    failures: 2,
+    lockedUntil: null,
+    nextAttemptAt: null,
+  });
+});
+
+test("releasing the only failure leaves a clean counter", () => {
+  assert.deepStrictEqual(releasedState(afterFailures(1), MAX).next, {
+    failures: 0,
+    lockedUntil: null,
+    nextAttemptAt: null,
+  });
+  assert.strictEqual(releasedState({}, MAX).next.failures, 0);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { applyMergePatch } = require("../build/utils/mergePatch");
+
+// RFC 7396 appendix A: [target, patch, result]
+const EXAMPLES = [
+  [{ a: "b" }, { a: "c" }, { a: "c" }],
+  [{ a: "b" }, { b: "c" }, { a: "b", b: "c" }],
+  [{ a: "b" }, { a: null }, {}],
+  [{ a: "b", b: "c" }, { a: null }, { b: "c" }],
+  [{ a: ["b"] }, { a: "c" }, { a: "c" }],
+  [{ a: "c" }, { a: ["b"] }, { a: ["b"] }],
+  [{ a: { b: "c" } }, { a: { b: "d", c: null } }, { a: { b: "d" } }],
+  [{ a: [{ b: "c" }] }, { a: [1] }, { a: [1] }],
+  [["a", "b"], ["c", "d"], ["c", "d"]],
+  [{ a: "b" }, ["c"], ["c"]],
+  [{ a: "foo" }, null, null],
+  [{ a: "foo" }, "bar", "bar"],
+  [{ e: null }, { a: 1 }, { e: null, a: 1 }],
+  [[1, 2], { a: "b", c: null }, { a: "b" }],
+  [{}, { a: { bb: { ccc: null } } }, { a: { bb: {} } }],
+];
+
+test("applyMergePatch follows the RFC 7396 examples", () => {
+  for (const [target, patch, result] of EXAMPLES) {
+    assert.deepStrictEqual(applyMergePatch(target, patch), result, JSON.stringify(patch));
+  }
+});
+
+test("applyMergePatch leaves the target untouched", () => {
+  const target = { theme: "dark", notifications: { email: true, sms: false } };
+  const merged = applyMergePatch(target, { notifications: { sms: true }, language: "en" });
+  assert.deepStrictEqual(merged, { theme: "dark", notifications: { email: true, sms: true }, language: "en" });
+  assert.deepStrictEqual(target, { theme: "dark", notifications: { email: true, sms: false } });
+});
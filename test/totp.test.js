@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const totp = require("../build/utils/totp");
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" (base32 below), SHA-1.
+// The RFC lists 8-digit codes; ours are their last 6 digits.
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+];
+
+test("generate matches the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.strictEqual(totp.generate(SECRET, seconds * 1000), code, `at ${seconds}s`);
+  }
+});
+
+test("verify returns the matching time step", () => {
+  assert.strictEqual(totp.verify(SECRET, "050471", { time: 1111111111 * 1000 }), Math.floor(1111111111 / 30));
+});
+
+test("verify allows one step of clock drift by default", () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(time / 30000);
+  assert.strictEqual(totp.verify(SECRET, totp.generate(SECRET, time - 30000), { time }), step - 1);
+  assert.strictEqual(totp.verify(SECRET, totp.generate(SECRET, time + 30000), { time }), step + 1);
+  assert.strictEqual(totp.verify(SECRET, totp.generate(SECRET, time + 60000), { time }), null);
+  assert.strictEqual(totp.verify(SECRET, totp.generate(SECRET, time + 60000), { time, window: 2 }), step + 2);
+});
+
+test("verify rejects malformed codes and missing secrets", () => {
+  const time = 59 * 1000;
+  assert.strictEqual(totp.verify(SECRET, "28708", { time }), null);
+  assert.strictEqual(totp.verify(SECRET, "2870820", { time }), null);
+  assert.strictEqual(totp.verify(SECRET, "28708a", { time }), null);
+  assert.strictEqual(totp.verify(null, "287082", { time }), null);
+});
+
+test("secrets are read case- and whitespace-insensitively", () => {
+  const loose = SECRET.toLowerCase().replace(/(.{4})/g, "$1 ");
+  assert.strictEqual(totp.generate(loose, 59 * 1000), "287082");
+  assert.throws(() => totp.generate("NOT-BASE32", 0), /Invalid base32 character/);
+});
+
+test("generateSecret returns 160 random bits in base32", () => {
+  const secret = totp.generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notStrictEqual(totp.generateSecret(), secret);
+  assert.match(totp.generate(secret), /^\d{6}$/);
+});
+
+test("otpauthUri describes the secret for authenticator apps", () => {
+  const uri = new URL(totp.otpauthUri({ secret: SECRET, label: "jane@example.com", issuer: "My App" }));
+  assert.strictEqual(uri.protocol, "otpauth:");
+  assert.strictEqual(uri.host, "totp");
+  assert.strictEqual(decodeURIComponent(uri.pathname), "/My App:jane@example.com");
+  assert.deepStrictEqual(Object.fromEntries(uri.searchParams), {
+    secret: SECRET,
+    issuer: "My App",
+    algorithm: "SHA1",
+    digits: "6",
+    period: "30",
+  });
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const User = require("../build/models/User");
+const { userSnapshot, diffSnapshots } = require("../build/utils/userHistory");
+
+test("diffSnapshots lists every changed field, sorted", () => {
+  const before = { name: "Jane", age: 30, city: "Delhi" };
+  const after = { name: "Jane", age: 31, email: "jane@example.com" };
+  assert.deepStrictEqual(diffSnapshots(before, after), [
+    { field: "age", from: 30, to: 31 },
+    { field: "city", from: "Delhi", to: undefined },
+    { field: "email", from: undefined, to: "jane@example.com" },
+  ]);
+});
+
+test("diffSnapshots compares nested objects leaf by leaf", () => {
+  const before = { settings: { theme: "light", notifications: { email: true, sms: false } } };
+  const after = { settings: { theme: "dark", notifications: { email: true, sms: true } } };
+  assert.deepStrictEqual(diffSnapshots(before, after), [
+    { field: "settings.notifications.sms", from: false, to: true },
+    { field: "settings.theme", from: "light", to: "dark" },
+  ]);
+});
+
+test("diffSnapshots treats arrays, dates and empty objects as values", () => {
+  const deletedAt = new Date("2024-01-01T00:00:00Z");
+  const before = { tags: ["a", "b"], deletedAt: null, settings: {} };
+  const after = { tags: ["a", "b"], deletedAt, settings: {} };
+  assert.deepStrictEqual(diffSnapshots(before, after), [{ field: "deletedAt", from: null, to: deletedAt }]);
+  assert.deepStrictEqual(diffSnapshots({ tags: ["a"] }, { tags: ["a", "b"] }), [
+    { field: "tags", from: ["a"], to: ["a", "b"] },
+  ]);
+});
+
+test("diffSnapshots from nothing lists the whole snapshot", () => {
+  assert.deepStrictEqual(diffSnapshots({}, { name: "Jane", settings: { theme: "dark" } }), [
+    { field: "name", from: undefined, to: "Jane" },
+    { field: "settings.theme", from: undefined, to: "dark" },
+  ]);
+  assert.deepStrictEqual(diffSnapshots({ name: "Jane" }, { name: "Jane" }), []);
+});
+
+test("userSnapshot keeps the profile and soft-delete state only", () => {
+  const user = new User({ name: "Jane", email: "Jane@Example.com", password: "secret", roles: ["admin"] });
+  const snapshot = userSnapshot(user);
+  assert.strictEqual(snapshot.name, "Jane");
+  assert.strictEqual(snapshot.email, "jane@example.com");
+  assert.ok(!("password" in snapshot));
+  assert.ok(!("roles" in snapshot));
+  assert.ok(!("_id" in snapshot));
+  assert.ok(Object.keys(snapshot).every((field) => [...User.PROFILE_FIELDS, "deletedAt", "deletedBy"].includes(field)));
+});
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseUserQuery } = require("../build/utils/userQuery");
+
+test("plain values are equality filters and the default sort is by name", () => {
+  assert.deepStrictEqual(parseUserQuery({ city: "Delhi", page: "2", limit: "5" }), {
+    filter: { city: { $eq: "Delhi" } },
+    projection: undefined,
+    sort: { name: 1, _id: 1 },
+  });
+});
+
+test("values are cast to the schema type", () => {
+  const { filter } = parseUserQuery({
+    age: { gte: "18", lt: "65" },
+    isActive: "true",
+    email: "Jane@Example.com",
+    createdAt: { gt: "2024-01-01" },
+    tags: { size: "2" },
+  });
+  assert.deepStrictEqual(filter, {
+    age: { $gte: 18, $lt: 65 },
+    isActive: { $eq: true },
+    email: { $eq: "jane@example.com" },
+    createdAt: { $gt: new Date("2024-01-01") },
+    tags: { $size: 2 },
+  });
+});
+
+test("list operators take commas or repeated parameters", () => {
+  assert.deepStrictEqual(parseUserQuery({ city: { in: "Delhi,Mumbai" } }).filter, { city: { $in: ["Delhi", "Mumbai"] } });
+  assert.deepStrictEqual(parseUserQuery({ age: { nin: ["20", "30,40"] } }).filter, { age: { $nin: [20, 30, 40] } });
+  assert.deepStrictEqual(parseUserQuery({ tags: { all: "a,b" } }).filter, { tags: { $all: ["a", "b"] } });
+});
+
+test("contains matches literally and case-insensitively", () => {
+  const { filter } = parseUserQuery({ name: { contains: "a.b*" } });
+  assert.deepStrictEqual(filter.name.$regex, /a\.b\*/i);
+});
+
+test("unknown and hidden fields are rejected", () => {
+  for (const field of ["password", "roles", "settings", "__v", "$where"]) {
+    const { error } = parseUserQuery({ [field]: "x" });
+    assert.strictEqual(error.field, field);
+    assert.strictEqual(error.message, "Unknown filter field");
+    assert.ok(!error.allowed.includes(field));
+  }
+});
+
+test("operators must be allowed for the field's type", () => {
+  assert.deepStrictEqual(parseUserQuery({ isActive: { gt: "true" } }).error.field, "isActive[gt]");
+  assert.deepStrictEqual(parseUserQuery({ name: { $ne: "x" } }).error.field, "name[$ne]");
+  assert.deepStrictEqual(parseUserQuery({ age: { contains: "1" } }).error.message, 'Operator "contains" is not allowed on age');
+});
+
+test("values that don't fit are rejected", () => {
+  assert.deepStrictEqual(parseUserQuery({ age: "old" }).error, { field: "age[eq]", message: "Invalid value: old" });
+  assert.deepStrictEqual(parseUserQuery({ age: { in: "1,x" } }).error, { field: "age[in]", message: "Invalid value: 1,x" });
+  assert.strictEqual(parseUserQuery({ isActive: { exists: "yes" } }).error.field, "isActive[exists]");
+  assert.strictEqual(parseUserQuery({ createdAt: { gt: "soon" } }).error.field, "createdAt[gt]");
+  assert.strictEqual(parseUserQuery({ _id: "not-an-id" }).error.field, "_id[eq]");
+  assert.strictEqual(parseUserQuery({ tags: { size: "-1" } }).error.field, "tags[size]");
+  assert.deepStrictEqual(parseUserQuery({ name: { eq: { $gt: "" } } }).error, { field: "name[eq]", message: "Invalid value" });
+  assert.strictEqual(parseUserQuery({ city: ["Delhi", "Mumbai"] }).error.message, "Takes one value; use city[in] for several");
+});
+
+test("fields= selects a projection from the listed fields", () => {
+  assert.strictEqual(parseUserQuery({ fields: "name, email,,age" }).projection, "name email age");
+  const { error } = parseUserQuery({ fields: "name,password" });
+  assert.strictEqual(error.field, "fields");
+  assert.strictEqual(error.message, "Unknown field: password");
+});
+
+test("sort= takes several fields and always ends on _id", () => {
+  assert.deepStrictEqual(parseUserQuery({ sort: "-age,+name" }).sort, { age: -1, name: 1, _id: 1 });
+  assert.deepStrictEqual(parseUserQuery({ sort: "-_id" }).sort, { _id: -1 });
+  assert.deepStrictEqual(parseUserQuery({ sortBy: "age", order: "desc" }).sort, { age: -1, _id: 1 });
+});
+
+test("sorting by unknown or array fields is rejected", () => {
+  assert.strictEqual(parseUserQuery({ sort: "tags" }).error.message, "Cannot sort by: tags");
+  assert.strictEqual(parseUserQuery({ sort: "age,password" }).error.field, "sort");
+  assert.strictEqual(parseUserQuery({ sortBy: "password" }).error.field, "sortBy");
+});
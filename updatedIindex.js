@@ -1,5 +1,19 @@
 const express = require("express");
 const mongoose = require("mongoose");
+const multer = require("multer");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const auth = require("./middlewares/auth");
+const { requirePermission, hasPermission, scopeAllows } = require("./middlewares/authorize");
+const { sendMail } = require("./utils/mailer");
+const { purgeDate, onUsersPurged, startUserPurge } = require("./utils/userPurge");
+const { userSnapshot, diffSnapshots, recordUserVersion } = require("./utils/userHistory");
+const { isPlainObject, parseBoolean, escapeRegex } = require("./utils/values");
+const { applyMergePatch } = require("./utils/mergePatch");
+const { CURSOR_SORT_FIELDS, findCursorPage } = require("./utils/cursor");
+const { USER_SORT_FIELDS, parseUserQuery } = require("./utils/userQuery");
+const { validate, validationFailed, checkValue, schemaFromModel, objectId, pagination, booleanFlag, oneOf, requiredString } = require("./middlewares/validate");
 const app = express();
 const PORT = 5000;
 
@@ -7,17 +21,178 @@ mongoose.connect("mongodb://127.0.0.1:27017/testDB")
   .then(() => console.log("MongoDB Connected via Mongoose!"))
   .catch(err => console.error("DB Connection Error:", err));
 
-const userSchema = new mongoose.Schema({
-  name: String,
-  email: String,
-  age: Number,
-  city: String,
-  isActive: Boolean
+// Shared with the auth routes and the image uploader; see models/User.js
+const User = require("./models/User");
+const settingsSchema = User.schema.path("settings").schema;
+// Shared with utils/userPurge.js, which removes a purged user's posts, reviews and history
+const Post = require("./models/Post");
+const Product = require("./models/Product");
+const Review = require("./models/Review");
+const UserVersion = require("./models/UserVersion");
+
+const contactMessageSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: { type: String, required: true, trim: true, lowercase: true, match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "A valid email is required"] },
+  message: { type: String, required: true, maxlength: 5000 },
+  status: { type: String, enum: ["new", "read", "replied", "archived"], default: "new", index: true },
+  // Hash of email + normalised message, used to spot resubmissions
+  fingerprint: { type: String, index: true },
+  ip: String,
+  userAgent: String,
+  replies: [{
+    message: { type: String, required: true },
+    repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    repliedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+const ContactMessage = mongoose.model("ContactMessage", contactMessageSchema);
+
+app.use(express.json({ type: ["application/json", "application/merge-patch+json"] }));
+
+// Authenticates only when credentials are sent, so public routes can still tell the owner apart
+const optionalAuth = (req, res, next) =>
+  req.headers.authorization || req.headers["x-api-key"] ? auth(req, res, next) : next();
+
+// Notification hooks: addNotificationHook("contact.created", async (payload) => {...}).
+// notify() never throws or blocks the response; a failing hook is only logged.
+const notificationHooks = {};
+const addNotificationHook = (event, hook) => {
+  (notificationHooks[event] = notificationHooks[event] || []).push(hook);
+};
+const hasNotificationHook = (event) => Boolean(notificationHooks[event] && notificationHooks[event].length);
+const notify = (event, payload) => {
+  (notificationHooks[event] || []).forEach(hook => {
+    Promise.resolve()
+      .then(() => hook(payload))
+      .catch(err => console.error(`Notification hook for ${event} failed:`, err));
+  });
+};
+
+// Default hooks for new contact messages: a webhook and/or an email to the support inbox
+if (process.env.CONTACT_WEBHOOK_URL) {
+  addNotificationHook("contact.created", (contact) => fetch(process.env.CONTACT_WEBHOOK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ event: "contact.created", contact })
+  }));
+}
+if (process.env.BULK_IMPORT_NOTIFY_EMAIL) {
+  addNotificationHook("users.bulkImported", ({ summary, actor }) => sendMail({
+    to: process.env.BULK_IMPORT_NOTIFY_EMAIL,
+    subject: `Bulk user import: ${summary.created} created, ${summary.updated} updated, ${summary.errors} errors`,
+    text: `Import by user ${actor}:\n\n${JSON.stringify(summary, null, 2)}`
+  }));
+}
+if (process.env.CONTACT_NOTIFY_EMAIL) {
+  addNotificationHook("contact.created", (contact) => sendMail({
+    to: process.env.CONTACT_NOTIFY_EMAIL,
+    subject: `New contact message from ${contact.name}`,
+    text: `${contact.name} <${contact.email}> wrote:\n\n${contact.message}`
+  }));
+}
+
+// Shared by /users, /search and /filter: ?page=1&limit=10&sortBy=name&order=asc
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 10, 1), 100);
+  const sortBy = query.sortBy || "name";
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort: { [sortBy]: query.order === "desc" ? -1 : 1 }
+  };
+};
+
+// RFC 8288 Link header. Each rel maps to query params that replace those of the current URL,
+// e.g. { next: { cursor: "..." } }; a falsy entry is left out.
+const setLinkHeader = (req, res, links) => {
+  const base = `${req.protocol}://${req.get("host")}${req.baseUrl}${req.path}`;
+  const value = Object.entries(links)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => {
+      const query = new URLSearchParams();
+      Object.entries({ ...req.query, ...params }).forEach(([key, param]) => {
+        [].concat(param).forEach(item => query.append(key, item));
+      });
+      return `<${base}?${query}>; rel="${rel}"`;
+    })
+    .join(", ");
+  if (value) res.set("Link", value);
+};
+
+// Soft-deleted users are hidden unless ?includeDeleted=true comes from someone with users:delete.
+// Returns the filter to add, or null when includeDeleted was asked for without that permission.
+const visibilityFilter = (req) => {
+  if (req.query.includeDeleted !== "true") return { deletedAt: null };
+  return hasPermission(req.user, "users:delete") ? {} : null;
+};
+
+const includeDeletedForbidden = (res) => res.status(403).json({ 
+  success: false, 
+  message: "includeDeleted=true needs permission users:delete" 
 });
 
-const User = mongoose.model("User", userSchema);
+// Conditional requests on users. The ETag is the document version, so any write changes it.
+const REQUIRE_IF_MATCH = process.env.USERS_REQUIRE_IF_MATCH === "true";
+const userETag = (user) => `"${user.__v}"`;
+const etagList = (header) => header.split(",").map(tag => tag.trim()).filter(Boolean);
+
+// If-None-Match uses weak comparison, so W/"3" matches "3"
+const notModified = (req, etag) => {
+  const header = req.get("If-None-Match");
+  return Boolean(header) && etagList(header).some(tag => tag === "*" || tag.replace(/^W\//, "") === etag);
+};
+
+// Checks If-Match before a write: true to go ahead, otherwise 428 (missing while
+// USERS_REQUIRE_IF_MATCH=true) or 412 (stale version) has been sent
+const checkIfMatch = (req, res, user) => {
+  const header = req.get("If-Match");
+  if (!header) {
+    if (!REQUIRE_IF_MATCH) return true;
+    res.status(428).json({ 
+      success: false, 
+      message: "If-Match header is required: send the ETag from GET /users/:id" 
+    });
+    return false;
+  }
+
+  const tags = etagList(header);
+  if (tags.includes("*") || tags.includes(userETag(user))) return true;
+  return preconditionFailed(res, user);
+};
+
+const preconditionFailed = (res, user) => {
+  if (user) res.set("ETag", userETag(user));
+  res.status(412).json({ 
+    success: false, 
+    message: "User was changed by someone else; reload it and try again", 
+    currentVersion: user ? user.__v : undefined 
+  });
+  return false;
+};
+
+// The user themself, or anyone whose roles grant `permission`. An API key also needs `permission`
+// in its scopes, even when acting for its own owner.
+const canActFor = (req, userId, permission) => {
+  if (!req.user) return false;
+  return String(req.user.id) === String(userId)
+    ? scopeAllows(req.user, permission)
+    : hasPermission(req.user, permission);
+};
+
+// Roles, token version, 2FA and linked identities live on the same document but belong to the
+// auth routes; every user query here leaves them out
+const HIDDEN_USER_FIELDS = { roles: 0, tokenVersion: 0, twoFactor: 0, identities: 0 };
+
+// For documents that were created rather than queried
+const publicUser = (user) => {
+  const { roles, tokenVersion, twoFactor, identities, password, image, ...fields } = user.toObject();
+  return fields;
+};
 
-app.use(express.json());
+const actorOf = (req) => (req.user ? req.user.id : null);
 
 // 1. Basic Route (No parameters)
 app.get("/", (req, res) => {
@@ -43,14 +218,23 @@ app.get("/", (req, res) => {
 // }
 
 // 2. Request Body (JSON data) - Already created
-app.post("/users", async (req, res) => {
+// Request schemas come from the shared User model (name and email required, age 0-120, ...);
+// fields outside the profile are refused, so roles or deletedAt can't be set from here.
+// Creating needs users:write: these are the same accounts /auth/login uses, and an anonymous
+// create would claim the email before its owner registers.
+const userParams = { id: objectId("user ID") };
+const createUserSchema = { body: schemaFromModel(User, User.PROFILE_FIELDS) };
+const updateUserSchema = { params: userParams, body: schemaFromModel(User, User.PROFILE_FIELDS, { partial: true }) };
+
+app.post("/users", auth, requirePermission("users:write"), validate(createUserSchema), async (req, res) => {
   try {
     const user = new User(req.body);
     await user.save();
+    await recordUserVersion({ previous: null, after: user, action: "create", actor: actorOf(req) });
     res.status(201).json({ 
       success: true, 
       message: "User saved!", 
-      user 
+      user: publicUser(user) 
     });
   } catch (error) {
     res.status(400).json({ 
@@ -66,6 +250,8 @@ app.post("/users", async (req, res) => {
 //     name: 'John',
 //     email: 'john@email.com',
 //     age: 25
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token' }
 //   });
 //   console.log(response.data);
 // } catch (error) {
@@ -73,10 +259,14 @@ app.post("/users", async (req, res) => {
 // }
 
 // 3. Route Parameters (URL params)
-app.get("/users/:id", async (req, res) => {
+// Only ObjectIds match, so fixed paths such as /users/export fall through to their own routes
+app.get("/users/:id([0-9a-fA-F]{24})", optionalAuth, validate({ query: { includeDeleted: booleanFlag("includeDeleted") } }), async (req, res) => {
   try {
+    const visibility = visibilityFilter(req);
+    if (!visibility) return includeDeletedForbidden(res);
+
     const userId = req.params.id;
-    const user = await User.findById(userId);
+    const user = await User.findOne({ _id: userId, ...visibility }, HIDDEN_USER_FIELDS);
     
     if (!user) {
       return res.status(404).json({ 
@@ -84,6 +274,10 @@ app.get("/users/:id", async (req, res) => {
         message: "User not found" 
       });
     }
+
+    const etag = userETag(user);
+    res.set("ETag", etag);
+    if (notModified(req, etag)) return res.status(304).end();
     
     res.status(200).json({ 
       success: true, 
@@ -101,19 +295,39 @@ app.get("/users/:id", async (req, res) => {
 // Frontend call: 
 // try {
 //   const response = await axios.get('http://localhost:5000/users/64a1b2c3d4e5f6789012345');
-//   console.log(response.data);
+//   console.log(response.data, response.headers.etag);
+//   // Later: only re-download if it changed (304 otherwise)
+//   const again = await axios.get('http://localhost:5000/users/64a1b2c3d4e5f6789012345', {
+//     headers: { 'If-None-Match': response.headers.etag },
+//     validateStatus: status => status === 200 || status === 304
+//   });
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
-// 4. Multiple Route Parameters
-app.get("/users/:id/posts/:postId", (req, res) => {
+// 4. Multiple Route Parameters (posts owned by a user)
+const postParams = { id: objectId("user ID"), postId: objectId("post ID") };
+const postFields = ["title", "body", "status"];
+
+app.get("/users/:id/posts/:postId", optionalAuth, validate({ params: postParams }), async (req, res) => {
   try {
     const { id, postId } = req.params;
+
+    // Matching on author too means a post can't be read through another user's URL
+    const post = await Post.findOne({ _id: postId, author: id });
+
+    // Drafts are only visible to their author
+    if (!post || (post.status === "draft" && !canActFor(req, id, "users:write"))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Post not found" 
+      });
+    }
+
     res.status(200).json({ 
       success: true, 
       message: `User ${id}'s post ${postId}`, 
-      data: { userId: id, postId }
+      data: post
     });
   } catch (error) {
     res.status(500).json({ 
@@ -125,68 +339,459 @@ app.get("/users/:id/posts/:postId", (req, res) => {
 });
 // Frontend call: 
 // try {
-//   const response = await axios.get('http://localhost:5000/users/123/posts/456');
+//   const response = await axios.get('http://localhost:5000/users/64a1b2c3d4e5f6789012345/posts/64a1b2c3d4e5f6789012346');
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+const listPostsSchema = {
+  params: { id: objectId("user ID") },
+  query: { status: oneOf(["draft", "published", "all"], "status"), ...pagination() }
+};
+
+app.get("/users/:id/posts", optionalAuth, validate(listPostsSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10, status = "published" } = req.query;
+
+    if (status !== "published" && !canActFor(req, id, "users:write")) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "Only the author can list drafts" 
+      });
+    }
+
+    const filter = { author: id };
+    if (status !== "all") filter.status = status;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+      Post.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Posts list", 
+      posts,
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to fetch posts", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.get('http://localhost:5000/users/64a1b2c3d4e5f6789012345/posts', {
+//     params: { page: 1, limit: 5, status: 'published' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+const createPostSchema = { params: { id: objectId("user ID") }, body: schemaFromModel(Post, postFields) };
+
+app.post("/users/:id/posts", auth, validate(createPostSchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, body, status } = req.body;
+
+    if (!canActFor(req, id, "users:write")) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "You can only create posts for yourself" 
+      });
+    }
+
+    if (!(await User.exists({ _id: id, deletedAt: null }))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+
+    const post = new Post({ author: id, title, body, status });
+    await post.save();
+
+    res.status(201).json({ 
+      success: true, 
+      message: "Post created!", 
+      data: post
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      message: "Failed to create post", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.post('http://localhost:5000/users/64a1b2c3d4e5f6789012345/posts', {
+//     title: 'Hello world',
+//     body: 'My first post',
+//     status: 'draft'
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.put("/users/:id/posts/:postId", auth, validate({ params: postParams, body: schemaFromModel(Post, postFields, { partial: true }) }), async (req, res) => {
+  try {
+    const { id, postId } = req.params;
+
+    if (!canActFor(req, id, "users:write")) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "You can only edit your own posts" 
+      });
+    }
+
+    const post = await Post.findOne({ _id: postId, author: id });
+    if (!post) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Post not found" 
+      });
+    }
+
+    // Only these fields are editable; author and dates are not
+    postFields.forEach(field => {
+      if (req.body[field] !== undefined) post[field] = req.body[field];
+    });
+    await post.save();
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Post updated!", 
+      data: post
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      message: "Failed to update post", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.put('http://localhost:5000/users/64a1b2c3d4e5f6789012345/posts/64a1b2c3d4e5f6789012346', {
+//     status: 'published'
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.delete("/users/:id/posts/:postId", auth, validate({ params: postParams }), async (req, res) => {
+  try {
+    const { id, postId } = req.params;
+
+    if (!canActFor(req, id, "users:write")) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "You can only delete your own posts" 
+      });
+    }
+
+    const post = await Post.findOneAndDelete({ _id: postId, author: id });
+    if (!post) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Post not found" 
+      });
+    }
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Post deleted!", 
+      data: { id: post._id }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to delete post", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.delete('http://localhost:5000/users/64a1b2c3d4e5f6789012345/posts/64a1b2c3d4e5f6789012346', {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
 //   console.log(response.data);
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
 // 5. Query Parameters (URL query string)
-import express from "express";
-import mongoose from "mongoose";
-import cors from "cors";
+const SEARCH_SORT_FIELDS = ["_id", "name", "email", "age", "city", "score"];
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_MAX_CANDIDATES = Number(process.env.SEARCH_FUZZY_MAX_CANDIDATES || 500);
 
-const app = express();
-app.use(cors());
+const searchWords = (value) => String(value).trim().split(/\s+/).filter(Boolean).slice(0, 5);
 
-// MongoDB connect
-await mongoose.connect("mongodb://127.0.0.1:27017/testdb");
+// Every spelling within one edit (insert, delete, replace, swap) of `word`, as a regex
+// alternation of escaped literals - no nested quantifiers, so it can't backtrack badly
+const fuzzyPattern = (word) => {
+  const chars = [...word.toLowerCase().slice(0, 32)].map(escapeRegex);
+  const variants = new Set([chars.join("")]);
+  for (let i = 0; i <= chars.length; i++) {
+    variants.add([...chars.slice(0, i), ".", ...chars.slice(i)].join(""));
+    if (i === chars.length) continue;
+    variants.add([...chars.slice(0, i), ...chars.slice(i + 1)].join(""));
+    variants.add([...chars.slice(0, i), ".", ...chars.slice(i + 1)].join(""));
+    if (i < chars.length - 1) {
+      variants.add([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)].join(""));
+    }
+  }
+  return [...variants].join("|");
+};
 
-// Schema
-const UserSchema = new mongoose.Schema({
-  name: String,
-  age: Number,
-  city: String
+// Pattern source for a name/city parameter: the escaped text, or (fuzzy) each word within one typo
+const fieldPattern = (value, fuzzy) => {
+  if (!fuzzy) return escapeRegex(String(value).trim());
+  return searchWords(value)
+    .map(word => word.length < FUZZY_MIN_LENGTH ? escapeRegex(word) : fuzzyPattern(word));
+};
+
+// Shared by /search and /users/export: ?q=&name=&city=&minAge=&maxAge=&fuzzy=true
+const { min: AGE_MIN, max: AGE_MAX } = User.schema.path("age").options;
+const searchText = (field) => ({
+  optional: true,
+  isString: { errorMessage: `${field} must be a string` },
+  isLength: { options: { max: 200 }, errorMessage: `${field} must be at most 200 characters` }
+});
+const searchAge = (field) => ({
+  optional: { options: { values: "falsy" } },
+  isInt: { options: { min: AGE_MIN, max: AGE_MAX }, errorMessage: `${field} must be between ${AGE_MIN} and ${AGE_MAX}` }
 });
-const User = mongoose.model("User", UserSchema);
+const searchFilterQuery = {
+  q: searchText("q"),
+  name: searchText("name"),
+  city: searchText("city"),
+  minAge: searchAge("minAge"),
+  maxAge: searchAge("maxAge"),
+  fuzzy: booleanFlag("fuzzy"),
+  includeDeleted: booleanFlag("includeDeleted")
+};
+
+const buildSearchFilter = (query) => {
+  const { q, name, city, minAge, maxAge } = query;
+  const fuzzy = query.fuzzy === "true";
+  const filter = {};
+  const conditions = [];
+  if (q) filter.$text = { $search: String(q) };
+  [["name", name], ["city", city]].forEach(([field, value]) => {
+    if (!value) return;
+    const pattern = fieldPattern(value, fuzzy);
+    if (Array.isArray(pattern)) {
+      pattern.forEach(source => conditions.push({ [field]: new RegExp(source, "i") }));
+    } else {
+      filter[field] = new RegExp(pattern, "i");
+    }
+  });
+  if (conditions.length) filter.$and = conditions;
+  if (minAge || maxAge) {
+    filter.age = {};
+    if (minAge) filter.age.$gte = Number(minAge);
+    if (maxAge) filter.age.$lte = Number(maxAge);
+  }
+  return filter;
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 0..1 per searched word, by its closest word in the field (1 = exact)
+const fuzzyScore = (user, query) => {
+  let score = 0;
+  ["name", "city"].forEach(field => {
+    if (!query[field] || typeof user[field] !== "string") return;
+    const words = searchWords(user[field].toLowerCase());
+    searchWords(query[field].toLowerCase()).forEach(term => {
+      const distance = Math.min(...words.map(word => levenshtein(term, word)));
+      score += Math.max(0, 1 - distance / Math.max(term.length, 1));
+    });
+  });
+  return Number(score.toFixed(3));
+};
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => (
+  { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[char]
+));
+
+// HTML-escaped `text` with every match of the pattern sources wrapped in <mark>; undefined if none match
+const highlight = (text, sources) => {
+  if (typeof text !== "string" || sources.length === 0) return undefined;
+  const parts = text.split(new RegExp(`(${sources.join("|")})`, "gi"));
+  if (parts.length === 1) return undefined;
+  return parts.map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)).join("");
+};
+
+const searchHighlights = (user, query) => {
+  const fuzzy = query.fuzzy === "true";
+  // Words of q, minus quotes and "-excluded" terms
+  const qSources = query.q
+    ? searchWords(String(query.q).replace(/"/g, " ")).filter(word => !word.startsWith("-")).map(escapeRegex)
+    : [];
+  const highlights = {};
+  ["name", "city"].forEach(field => {
+    const sources = [...qSources];
+    if (query[field]) sources.push(...[].concat(fieldPattern(query[field], fuzzy)));
+    const marked = highlight(user[field], sources);
+    if (marked) highlights[field] = marked;
+  });
+  const tags = (user.tags || []).map(tag => highlight(tag, qSources)).filter(Boolean);
+  if (tags.length) highlights.tags = tags;
+  return highlights;
+};
+
+// Search API with filters, pagination & sorting.
+// ?q= uses the text index (stemmed, relevance-scored); ?fuzzy=true lets name/city words
+// be one typo off. Either one makes sortBy=score the default, best match first.
+// ?cursor= switches to keyset pages, which need a real field to sort on (default name).
+const searchQuerySchema = {
+  query: {
+    ...searchFilterQuery,
+    sortBy: oneOf(SEARCH_SORT_FIELDS, "sortBy"),
+    order: oneOf(["asc", "desc"], "order"),
+    ...pagination()
+  }
+};
 
-// Search API with filters, pagination & sorting
-app.get("/search", async (req, res) => {
+app.get("/search", optionalAuth, validate(searchQuerySchema), async (req, res) => {
   try {
-    const { name, city, minAge, maxAge, page = 1, limit = 10, sortBy = "name", order = "asc" } = req.query;
+    const visibility = visibilityFilter(req);
+    if (!visibility) return includeDeletedForbidden(res);
 
-    // Build filter dynamically
-    let filter = {};
-    if (name) filter.name = new RegExp(name, "i");  // regex search
-    if (city) filter.city = new RegExp(city, "i");
-    if (minAge || maxAge) {
-      filter.age = {};
-      if (minAge) filter.age.$gte = Number(minAge);
-      if (maxAge) filter.age.$lte = Number(maxAge);
+    const { page, limit, skip } = getPagination(req.query);
+    const { order = "asc" } = req.query;
+    const cursorMode = req.query.cursor !== undefined;
+    const fuzzy = req.query.fuzzy === "true";
+    const textSearch = Boolean(req.query.q);
+    const fuzzyRanked = fuzzy && Boolean(req.query.name || req.query.city);
+    const sortBy = req.query.sortBy || (!cursorMode && (textSearch || fuzzyRanked) ? "score" : "name");
+
+    if (sortBy === "score" && !textSearch && !fuzzyRanked) {
+      return validationFailed(res, [
+        { location: "query", field: "sortBy", message: "sortBy=score needs q, or fuzzy=true with name or city" }
+      ]);
     }
 
-    // Pagination
-    const skip = (Number(page) - 1) * Number(limit);
+    if (cursorMode && !CURSOR_SORT_FIELDS.includes(sortBy)) {
+      return validationFailed(res, [
+        { location: "query", field: "sortBy", message: `Cursor pagination can sort by: ${CURSOR_SORT_FIELDS.join(", ")}` }
+      ]);
+    }
 
-    // Sorting
-    let sort = {};
-    sort[sortBy] = order === "desc" ? -1 : 1;
+    // Build filter dynamically
+    const filter = { ...buildSearchFilter(req.query), ...visibility };
+    let total = await User.countDocuments(filter);
+    const projection = textSearch ? { ...HIDDEN_USER_FIELDS, score: { $meta: "textScore" } } : HIDDEN_USER_FIELDS;
+    let users;
+    let cursorPage;
 
-    // Fetch data
-    const users = await User.find(filter).skip(skip).limit(Number(limit)).sort(sort);
+    if (cursorMode) {
+      cursorPage = await findCursorPage(User, filter, { cursor: req.query.cursor, sortBy, order, limit, projection });
+      if (!cursorPage) {
+        return validationFailed(res, [{ location: "query", field: "cursor", message: "Invalid cursor" }]);
+      }
+      users = cursorPage.items;
+    } else if (sortBy === "score" && !textSearch) {
+      // Fuzzy relevance is computed here, so at most FUZZY_MAX_CANDIDATES matches are ranked in memory:
+      // the ones without a typo first, then the rest. total and the pages cover only that ranked set.
+      const exact = await User.find({ ...buildSearchFilter({ ...req.query, fuzzy: "false" }), ...visibility }, HIDDEN_USER_FIELDS)
+        .sort({ _id: 1 })
+        .limit(FUZZY_MAX_CANDIDATES)
+        .lean();
+      const typos = exact.length < FUZZY_MAX_CANDIDATES
+        ? await User.find({ ...filter, _id: { $nin: exact.map(user => user._id) } }, HIDDEN_USER_FIELDS)
+          .sort({ _id: 1 })
+          .limit(FUZZY_MAX_CANDIDATES - exact.length)
+          .lean()
+        : [];
+      const ranked = [...exact, ...typos]
+        .map(user => ({ ...user, score: fuzzyScore(user, req.query) }))
+        .sort((a, b) => b.score - a.score || String(a.name).localeCompare(String(b.name)));
+      total = ranked.length;
+      users = ranked.slice(skip, skip + limit);
+    } else {
+      // Text score is always best-first; ties fall back to _id so pages stay stable
+      const sort = sortBy === "score"
+        ? { score: { $meta: "textScore" }, _id: 1 }
+        : { [sortBy]: order === "desc" ? -1 : 1, _id: 1 };
+      users = await User.find(filter, projection).sort(sort).skip(skip).limit(limit).lean();
+    }
 
-    // Count total
-    const total = await User.countDocuments(filter);
+    if (textSearch || req.query.name || req.query.city) {
+      users = users.map(user => ({ ...user, highlights: searchHighlights(user, req.query) }));
+    }
+
+    let meta;
+    if (cursorMode) {
+      meta = {
+        total,
+        limit,
+        sortBy: cursorPage.sortBy,
+        order: cursorPage.order,
+        nextCursor: cursorPage.nextCursor,
+        prevCursor: cursorPage.prevCursor
+      };
+      setLinkHeader(req, res, {
+        next: cursorPage.nextCursor && { cursor: cursorPage.nextCursor },
+        prev: cursorPage.prevCursor && { cursor: cursorPage.prevCursor }
+      });
+    } else {
+      const totalPages = Math.ceil(total / limit);
+      meta = {
+        total,
+        page,
+        limit,
+        totalPages,
+        sortBy
+      };
+      setLinkHeader(req, res, {
+        first: { page: 1 },
+        prev: page > 1 && { page: page - 1 },
+        next: page < totalPages && { page: page + 1 },
+        last: totalPages > 0 && { page: totalPages }
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: "Search results",
-      meta: {
-        total,
-        page: Number(page),
-        limit: Number(limit),
-        totalPages: Math.ceil(total / limit)
-      },
+      meta,
       users
     });
 
@@ -200,6 +805,9 @@ app.get("/search", async (req, res) => {
 });
 
 // http://localhost:5000/search?minAge=20&maxAge=30&sortBy=age&order=desc
+// http://localhost:5000/search?q=john%20delhi
+// http://localhost:5000/search?name=jhon&city=dehli&fuzzy=true
+// http://localhost:5000/search?city=delhi&cursor=&limit=20   (then ?cursor=<meta.nextCursor>)
 
  //try {
   //  const response = await axios.get("http://localhost:5000/search", {
@@ -223,21 +831,91 @@ app.get("/search", async (req, res) => {
 
 
 // 6. Multiple Query Parameters with Pagination
-app.get("/users", async (req, res) => {
+// ?page=&limit= (offset pages) or ?cursor=&limit= (keyset pages; pass an empty cursor to start).
+// The fixed parameters are checked here; filter fields go through parseUserQuery.
+const listUsersSchema = {
+  query: {
+    order: oneOf(["asc", "desc"], "order"),
+    includeDeleted: booleanFlag("includeDeleted"),
+    ...pagination()
+  }
+};
+
+app.get("/users", optionalAuth, validate(listUsersSchema), async (req, res) => {
   try {
-    const { page = 1, limit = 10, sortBy = 'name', order = 'asc' } = req.query;
-    const skip = (page - 1) * limit;
+    const visibility = visibilityFilter(req);
+    if (!visibility) return includeDeletedForbidden(res);
+
+    const { page, limit, skip } = getPagination(req.query);
+    const { filter, projection, sort, error } = parseUserQuery(req.query);
+
+    if (error) return validationFailed(res, [{ location: "query", ...error }]);
+
+    // Overrides any deletedAt filter from the query unless deleted users may be seen
+    Object.assign(filter, visibility);
+    const total = await User.countDocuments(filter);
+
+    if (req.query.cursor !== undefined) {
+      const [sortBy, ...extraSort] = Object.keys(sort).filter(field => field !== "_id");
+      if (extraSort.length || (sortBy && !CURSOR_SORT_FIELDS.includes(sortBy))) {
+        return validationFailed(res, [{ 
+          location: "query", 
+          field: req.query.sort ? "sort" : "sortBy", 
+          message: `Cursor pagination sorts by one of: ${CURSOR_SORT_FIELDS.join(", ")}` 
+        }]);
+      }
+
+      const result = await findCursorPage(User, filter, {
+        cursor: req.query.cursor,
+        sortBy: sortBy || "_id",
+        order: sort[sortBy || "_id"] === -1 ? "desc" : "asc",
+        limit,
+        // The cursor is built from the sort field, so it has to be fetched
+        projection: projection ? `${projection} ${sortBy || ""}`.trim() : HIDDEN_USER_FIELDS
+      });
+      if (!result) {
+        return validationFailed(res, [{ location: "query", field: "cursor", message: "Invalid cursor" }]);
+      }
+
+      setLinkHeader(req, res, {
+        next: result.nextCursor && { cursor: result.nextCursor },
+        prev: result.prevCursor && { cursor: result.prevCursor }
+      });
+      return res.status(200).json({ 
+        success: true, 
+        message: "Users list", 
+        users: result.items, 
+        pagination: {
+          limit,
+          total,
+          sortBy: result.sortBy,
+          order: result.order,
+          nextCursor: result.nextCursor,
+          prevCursor: result.prevCursor
+        }
+      });
+    }
     
-    const users = await User.find()
-      .sort({ [sortBy]: order === 'desc' ? -1 : 1 })
+    const users = await User.find(filter, projection || HIDDEN_USER_FIELDS)
+      .sort(sort)
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit);
+
+    const totalPages = Math.ceil(total / limit);
+    const nextPage = page < totalPages ? page + 1 : null;
+    const prevPage = page > 1 ? page - 1 : null;
+    setLinkHeader(req, res, {
+      first: { page: 1 },
+      prev: prevPage && { page: prevPage },
+      next: nextPage && { page: nextPage },
+      last: totalPages > 0 && { page: totalPages }
+    });
       
     res.status(200).json({ 
       success: true, 
       message: "Users list", 
       users, 
-      pagination: { page: parseInt(page), limit: parseInt(limit) }
+      pagination: { page, limit, total, totalPages, nextPage, prevPage }
     });
   } catch (error) {
     res.status(500).json({ 
@@ -253,6 +931,19 @@ app.get("/users", async (req, res) => {
 //     params: { page: 2, limit: 5, sortBy: 'age', order: 'desc' }
 //   });
 //   console.log(response.data);
+//   // Filters, projection and multi-field sort:
+//   // GET /users?age[gte]=20&city[in]=Delhi,Mumbai&isActive=true&fields=name,email&sort=-age,name
+//   const filtered = await axios.get('http://localhost:5000/users', {
+//     params: { 'age[gte]': 20, 'city[in]': 'Delhi,Mumbai', isActive: true, fields: 'name,email', sort: '-age,name' }
+//   });
+//   console.log(filtered.data);
+//   // Admins can include soft-deleted users: params: { includeDeleted: true } with an Authorization header
+//   // Cursor mode: start with an empty cursor, then follow pagination.nextCursor
+//   const first = await axios.get('http://localhost:5000/users', { params: { cursor: '', limit: 20 } });
+//   const second = await axios.get('http://localhost:5000/users', {
+//     params: { cursor: first.data.pagination.nextCursor, limit: 20 }
+//   });
+//   console.log(second.data);
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
@@ -298,18 +989,19 @@ app.get("/profile", (req, res) => {
 // }
 
 // 8. Route Params + Query Params Combined
-app.get("/users/:id/search", async (req, res) => {
+const userSearchSchema = {
+  params: { id: objectId("user ID") },
+  query: {
+    keyword: { isString: { errorMessage: "keyword is required" }, notEmpty: { errorMessage: "keyword is required" } },
+    category: { optional: true, isString: { errorMessage: "category must be a string" } }
+  }
+};
+
+app.get("/users/:id/search", validate(userSearchSchema), async (req, res) => {
   try {
     const userId = req.params.id;
     const { keyword, category } = req.query;
     
-    if (!keyword) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Keyword is required" 
-      });
-    }
-    
     res.status(200).json({ 
       success: true, 
       message: `Searching for user ${userId}`, 
@@ -325,7 +1017,7 @@ app.get("/users/:id/search", async (req, res) => {
 });
 // Frontend call: 
 // try {
-//   const response = await axios.get('http://localhost:5000/users/123/search', {
+//   const response = await axios.get('http://localhost:5000/users/64a1b2c3d4e5f6789012345/search', {
 //     params: { keyword: 'javascript', category: 'skills' }
 //   });
 //   console.log(response.data);
@@ -334,20 +1026,44 @@ app.get("/users/:id/search", async (req, res) => {
 // }
 
 // 9. Route Params + Request Body Combined
-app.put("/users/:id", async (req, res) => {
+// updateUserSchema (section 2) only lets profile fields through, so operators ($set, ...),
+// _id, __v, the soft-delete fields and the auth fields never reach an update.
+
+// If-Match: "<version>" makes the write conditional; the version is checked again in the
+// update filter, so a change landing between the read and the write still gets a 412
+app.put("/users/:id", auth, requirePermission("users:write"), validate(updateUserSchema), async (req, res) => {
   try {
     const userId = req.params.id;
     const updateData = req.body;
-    
-    const updatedUser = await User.findByIdAndUpdate(userId, updateData, { new: true });
-    
-    if (!updatedUser) {
+
+    if (!isPlainObject(updateData)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Body must be a JSON object" 
+      });
+    }
+
+    const current = await User.findOne({ _id: userId, deletedAt: null }, HIDDEN_USER_FIELDS);
+    if (!current) {
       return res.status(404).json({ 
         success: false, 
         message: "User not found" 
       });
     }
+    if (!checkIfMatch(req, res, current)) return;
     
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: userId, deletedAt: null, __v: current.__v },
+      { $set: updateData, $inc: { __v: 1 } },
+      { new: true, runValidators: true, projection: HIDDEN_USER_FIELDS }
+    );
+    
+    if (!updatedUser) {
+      return preconditionFailed(res, await User.findById(userId));
+    }
+    await recordUserVersion({ previous: userSnapshot(current), after: updatedUser, action: "update", actor: actorOf(req) });
+
+    res.set("ETag", userETag(updatedUser));
     res.status(200).json({ 
       success: true, 
       message: "User updated!", 
@@ -363,216 +1079,1501 @@ app.put("/users/:id", async (req, res) => {
 });
 // Frontend call: 
 // try {
-//   const response = await axios.put('http://localhost:5000/users/123', {
+//   const { headers } = await axios.get('http://localhost:5000/users/64a1b2c3d4e5f6789012345');
+//   const response = await axios.put('http://localhost:5000/users/64a1b2c3d4e5f6789012345', {
 //     name: 'Updated Name',
 //     age: 26
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token', 'If-Match': headers.etag }
 //   });
 //   console.log(response.data);
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
-// 10. Query Params + Request Body Combined
-app.post("/users/bulk", async (req, res) => {
+// JSON Merge Patch (RFC 7396) of a user's fields: null removes a field, settings merge
+// key by key. Conditional on If-Match like PUT; save() re-checks the version.
+app.patch("/users/:id", auth, requirePermission("users:write"), validate(updateUserSchema), async (req, res) => {
   try {
-    const { notify = false, sendEmail = true } = req.query;
-    const users = req.body;
-    
-    if (!Array.isArray(users) || users.length === 0) {
+    const patch = req.body;
+
+    if (!isPlainObject(patch) || Object.keys(patch).length === 0) {
       return res.status(400).json({ 
         success: false, 
-        message: "Users array is required" 
+        message: "Patch data is required" 
       });
     }
-    
-    const savedUsers = await User.insertMany(users);
-    res.status(201).json({ 
-      success: true, 
-      message: "Bulk users created!", 
-      savedUsers,
-      options: { notify: JSON.parse(notify), sendEmail: JSON.parse(sendEmail) }
-    });
-  } catch (error) {
-    res.status(400).json({ 
-      success: false, 
-      message: "Failed to create bulk users", 
-      error: error.message 
-    });
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }, HIDDEN_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+    if (!checkIfMatch(req, res, user)) return;
+    const previous = userSnapshot(user);
+
+    Object.keys(patch).forEach(key => {
+      if (key === "settings") {
+        // null puts every setting back to its default
+        user.settings = patch.settings === null ? {} : applyMergePatch(user.settings.toObject(), patch.settings);
+      } else {
+        user.set(key, patch[key] === null ? undefined : patch[key]);
+      }
+    });
+    await user.save();
+    await recordUserVersion({ previous, after: user, action: "update", actor: actorOf(req) });
+
+    res.set("ETag", userETag(user));
+    res.status(200).json({ 
+      success: true, 
+      message: "User updated!", 
+      user 
+    });
+  } catch (error) {
+    if (error.name === "VersionError") return preconditionFailed(res, await User.findById(req.params.id));
+    res.status(400).json({ 
+      success: false, 
+      message: "Failed to update user", 
+      error: error.name === "ValidationError" ? Object.values(error.errors).map(err => err.message) : error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.patch('http://localhost:5000/users/64a1b2c3d4e5f6789012345', {
+//     city: 'Mumbai',
+//     age: null
+//   }, {
+//     headers: {
+//       'Authorization': 'Bearer your-token',
+//       'Content-Type': 'application/merge-patch+json',
+//       'If-Match': '"3"'
+//     }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.status, error.response?.data || error.message);
+// }
+
+// Soft delete: the user disappears from /users, /search and /users/:id but stays restorable
+// until the purge job (utils/userPurge.js) removes it USER_RETENTION_DAYS (default 30) after deletion
+
+app.delete("/users/:id", auth, requirePermission("users:delete"), validate({ params: userParams }), async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      // Bumping tokenVersion ends every access token already issued to the user
+      { deletedAt: new Date(), deletedBy: req.user.id, $inc: { __v: 1, tokenVersion: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+    await recordUserVersion({
+      previous: { ...userSnapshot(user), deletedAt: null, deletedBy: null },
+      after: user,
+      action: "delete",
+      actor: actorOf(req)
+    });
+
+    res.status(200).json({ 
+      success: true, 
+      message: "User deleted!", 
+      id: user._id,
+      deletedAt: user.deletedAt,
+      purgeAfter: purgeDate(user.deletedAt)
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to delete user", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.delete('http://localhost:5000/users/64a1b2c3d4e5f6789012345', {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.post("/users/:id/restore", auth, requirePermission("users:delete"), validate({ params: userParams }), async (req, res) => {
+  try {
+    // Without { new: true } this resolves to the user as it was, i.e. still deleted
+    const before = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { deletedAt: null, deletedBy: null, $inc: { __v: 1 } }
+    );
+
+    if (!before) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "No deleted user with that id" 
+      });
+    }
+    const user = await User.findById(req.params.id, HIDDEN_USER_FIELDS);
+    await recordUserVersion({
+      previous: userSnapshot(before),
+      after: user,
+      action: "restore",
+      actor: actorOf(req)
+    });
+
+    res.status(200).json({ 
+      success: true, 
+      message: "User restored!", 
+      user 
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to restore user", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.post('http://localhost:5000/users/64a1b2c3d4e5f6789012345/restore', null, {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+// Change history, newest first. Snapshots are left out unless ?snapshots=true.
+const historyQuerySchema = { params: userParams, query: { snapshots: booleanFlag("snapshots"), ...pagination() } };
+
+app.get("/users/:id/history", auth, requirePermission("users:write"), validate(historyQuerySchema), async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = { user: req.params.id };
+
+    const [versions, total] = await Promise.all([
+      UserVersion.find(filter)
+        .select(req.query.snapshots === "true" ? "" : "-snapshot")
+        .populate("actor", "name email")
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit),
+      UserVersion.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ 
+      success: true, 
+      message: "User history", 
+      versions, 
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to fetch user history", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.get('http://localhost:5000/users/64a1b2c3d4e5f6789012345/history', {
+//     params: { page: 1, limit: 20 },
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data.versions);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+// Fields a revert puts back; soft-delete state is left to DELETE and /restore
+const REVERTABLE_USER_FIELDS = User.PROFILE_FIELDS;
+const revertParams = {
+  ...userParams,
+  version: { isInt: { options: { min: 0 }, errorMessage: "version must be a non-negative integer" }, toInt: true }
+};
+
+// Puts the user back to the state recorded in :version. The revert is itself a new version,
+// so it can be reverted too. Honours If-Match like PUT.
+app.post("/users/:id/revert/:version", auth, requirePermission("users:write"), validate({ params: revertParams }), async (req, res) => {
+  try {
+    const targetVersion = req.params.version;
+    const entry = await UserVersion.findOne({ user: req.params.id, version: targetVersion });
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Version not found" 
+      });
+    }
+
+    const user = await User.findById(req.params.id, HIDDEN_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "User not found" 
+      });
+    }
+    if (user.deletedAt) {
+      return res.status(409).json({ 
+        success: false, 
+        message: "User is deleted; restore it first" 
+      });
+    }
+    if (!checkIfMatch(req, res, user)) return;
+
+    const previous = userSnapshot(user);
+    REVERTABLE_USER_FIELDS.forEach(field => user.set(field, entry.snapshot[field]));
+
+    if (diffSnapshots(previous, userSnapshot(user)).length === 0) {
+      res.set("ETag", userETag(user));
+      return res.status(200).json({ 
+        success: true, 
+        message: "User already matches that version", 
+        user 
+      });
+    }
+
+    await user.save();
+    await recordUserVersion({ previous, after: user, action: "revert", actor: actorOf(req), revertedTo: targetVersion });
+
+    res.set("ETag", userETag(user));
+    res.status(200).json({ 
+      success: true, 
+      message: `User reverted to version ${targetVersion}!`, 
+      user 
+    });
+  } catch (error) {
+    if (error.name === "VersionError") return preconditionFailed(res, await User.findById(req.params.id));
+    res.status(400).json({ 
+      success: false, 
+      message: "Failed to revert user", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.post('http://localhost:5000/users/64a1b2c3d4e5f6789012345/revert/3', null, {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+// utils/userPurge.js already removed their history, posts and reviews; "users.purged" hooks can
+// clean up anything kept elsewhere
+onUsersPurged((ids, deletedCount) => notify("users.purged", { ids, deletedCount }));
+startUserPurge();
+
+// 10. Query Params + Request Body Combined
+const BULK_MAX_ITEMS = Number(process.env.BULK_MAX_ITEMS || 500);
+
+const sendWelcomeEmail = (user) => sendMail({
+  to: user.email,
+  subject: "Welcome!",
+  text: `Hi ${user.name || "there"}, an account has been created for you.`
+});
+
+// Same rules as PATCH /users/:id, so an upsert can leave fields out; required fields of a new user
+// are left to the model. An exported _id is accepted and ignored.
+const importItemSchema = { _id: { optional: true }, ...schemaFromModel(User, User.PROFILE_FIELDS, { partial: true }) };
+
+// Every item gets a result: created | updated | skipped | error (with a reason, and `errors` in
+// the validator's { location, field, message } form, fields prefixed with the item like "[3].email").
+// ordered=true stops at the first error and marks the rest skipped; ordered=false carries on.
+// dryRun=true validates and reports without writing. upsert=true updates the existing
+// user with the same email instead of skipping it. Shared by /users/bulk and /users/import.
+const importUsers = async (items, options, actor) => {
+  const results = [];
+  const seenEmails = new Set();
+  let aborted = false;
+
+  for (const [index, item] of items.entries()) {
+    if (aborted) {
+      results.push({ index, status: "skipped", reason: "Not processed: an earlier item failed" });
+      continue;
+    }
+
+    const result = { index, email: isPlainObject(item) ? item.email : undefined };
+    const field = (path) => `[${index}]${path ? `.${path}` : ""}`;
+    try {
+      if (!isPlainObject(item)) {
+        result.errors = [{ location: "body", field: field(), message: "Item must be an object" }];
+        throw new Error("Item must be an object");
+      }
+
+      // Also makes sure only a string email reaches the lookup below, never a query operator
+      const checked = await checkValue(importItemSchema, item, { prefix: field() + "." });
+      if (checked.errors.length) {
+        result.errors = checked.errors;
+        throw new Error(checked.errors.map(error => `${error.field}: ${error.message}`).join("; "));
+      }
+      const { _id, ...data } = checked.value;
+      // Normalised the way the model stores it, so the lookup finds "Ann@X.com " as ann@x.com
+      const email = data.email ? data.email.trim().toLowerCase() : null;
+      if (options.upsert && !email) throw new Error("email is required in upsert mode");
+      if (email && seenEmails.has(email)) throw new Error("Duplicate email in this batch");
+      if (email) seenEmails.add(email);
+
+      // A live user wins over a soft-deleted one with the same email (null deletedAt sorts first)
+      const existing = email ? await User.findOne({ email }, HIDDEN_USER_FIELDS).sort({ deletedAt: 1 }) : null;
+
+      if (existing && existing.deletedAt) {
+        Object.assign(result, { status: "error", reason: "A deleted user has this email; restore it first", id: existing._id });
+        if (options.ordered) aborted = true;
+      } else if (existing && !options.upsert) {
+        Object.assign(result, { status: "skipped", reason: "A user with this email already exists", id: existing._id });
+      } else if (existing) {
+        const previous = userSnapshot(existing);
+        existing.set(data);
+        await existing.validate();
+        if (!options.dryRun) {
+          await existing.save();
+          await recordUserVersion({ previous, after: existing, action: "update", actor });
+        }
+        Object.assign(result, { status: "updated", id: existing._id });
+      } else {
+        const user = new User(data);
+        await user.validate();
+        if (!options.dryRun) {
+          await user.save();
+          await recordUserVersion({ previous: null, after: user, action: "create", actor });
+          if (options.sendEmail && user.email) {
+            sendWelcomeEmail(user).catch(err => console.error("Welcome email failed:", err));
+          }
+        }
+        Object.assign(result, { status: "created", id: options.dryRun ? undefined : user._id });
+      }
+    } catch (error) {
+      const reason = error.name === "ValidationError"
+        ? Object.values(error.errors).map(err => err.message).join("; ")
+        : error.code === 11000 ? "Duplicate key" : error.message;
+      if (error.name === "ValidationError") {
+        result.errors = Object.values(error.errors).map(err => ({ location: "body", field: field(err.path), message: err.message }));
+      }
+      Object.assign(result, { status: "error", reason });
+      if (options.ordered) aborted = true;
+    }
+    results.push(result);
+  }
+
+  const summary = { total: items.length, created: 0, updated: 0, skipped: 0, errors: 0 };
+  results.forEach(result => {
+    if (result.status === "error") summary.errors++;
+    else summary[result.status]++;
+  });
+
+  return { results, summary };
+};
+
+// The import switches, checked by importOptionsSchema before the handler reads them
+const getImportOptions = (query, defaults) =>
+  Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, parseBoolean(query[key], value)]));
+
+const importOptionsSchema = (defaults) => ({
+  query: {
+    ...Object.fromEntries(Object.keys(defaults).map(key => [key, booleanFlag(key)])),
+    // Refused rather than silently ignored when nothing would be sent
+    notify: {
+      ...booleanFlag("notify"),
+      custom: {
+        options: (value) => value !== "true" || hasNotificationHook("users.bulkImported"),
+        errorMessage: "notify=true needs BULK_IMPORT_NOTIFY_EMAIL (or a users.bulkImported hook)"
+      }
+    }
+  }
+});
+
+const BULK_DEFAULTS = { ordered: true, dryRun: false, upsert: false, notify: false, sendEmail: true };
+
+app.post("/users/bulk", auth, requirePermission("users:bulk"), validate(importOptionsSchema(BULK_DEFAULTS)), async (req, res) => {
+  try {
+    const options = getImportOptions(req.query, BULK_DEFAULTS);
+    const users = req.body;
+    
+    if (!Array.isArray(users) || users.length === 0) {
+      return validationFailed(res, [{ location: "body", field: "", message: "Users array is required" }]);
+    }
+
+    if (users.length > BULK_MAX_ITEMS) {
+      return res.status(413).json({ 
+        success: false, 
+        message: `At most ${BULK_MAX_ITEMS} users per request` 
+      });
+    }
+
+    const { results, summary } = await importUsers(users, options, req.user.id);
+
+    if (options.notify && !options.dryRun) {
+      notify("users.bulkImported", { summary, actor: req.user.id });
+    }
+
+    const wrote = !options.dryRun && summary.created + summary.updated > 0;
+    res.status(wrote ? 201 : 200).json({ 
+      success: summary.errors === 0, 
+      message: options.dryRun ? "Bulk users validated (dry run)" : "Bulk users processed!", 
+      summary,
+      results,
+      options
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to create bulk users", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.post('http://localhost:5000/users/bulk', [
+//     { name: 'User1', email: 'user1@email.com', age: 25 },
+//     { name: 'User2', email: 'user2@email.com', age: 30 }
+//   ], {
+//     params: { ordered: false, dryRun: true, upsert: true, notify: true, sendEmail: false },
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+// 11. All Combined: Route Params + Query Params + Headers + Body
+// Keys the settings schema doesn't know, as dotted paths (e.g. "notifications.fax")
+const unknownSettingKeys = (value, prefix = "") => Object.keys(value).flatMap(key => {
+  const fullPath = prefix + key;
+  if (settingsSchema.path(fullPath)) return [];
+  if (settingsSchema.pathType(fullPath) === "nested" && isPlainObject(value[key])) {
+    return unknownSettingKeys(value[key], `${fullPath}.`);
+  }
+  return [fullPath];
+});
+
+// Someone else's settings need users:write. An API key also needs the route's own `permission`
+// (users:read to read, users:write to change) in its scopes, for its owner's settings too.
+const loadSettingsOwner = async (req, res, permission) => {
+  const isSelf = String(req.user.id) === String(req.params.id);
+  if (!canActFor(req, req.params.id, isSelf ? permission : "users:write")) {
+    res.status(403).json({ 
+      success: false, 
+      message: "You can only access your own settings" 
+    });
+    return null;
+  }
+
+  // A soft-deleted user's settings are gone as far as the API is concerned
+  const user = await User.findOne({ _id: req.params.id, deletedAt: null }, HIDDEN_USER_FIELDS);
+  if (!user) {
+    res.status(404).json({ 
+      success: false, 
+      message: "User not found" 
+    });
+    return null;
+  }
+  return user;
+};
+
+const settingsParams = { id: objectId("user ID") };
+
+app.get("/users/:id/settings", auth, validate({ params: settingsParams }), async (req, res) => {
+  try {
+    const user = await loadSettingsOwner(req, res, "users:read");
+    if (!user) return;
+
+    const etag = userETag(user);
+    res.set("ETag", etag);
+    if (notModified(req, etag)) return res.status(304).end();
+
+    res.status(200).json({ 
+      success: true, 
+      message: "User settings", 
+      data: user.settings
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to fetch settings", 
+      error: error.message 
+    });
+  }
+});
+
+// ?action=update (default) merges the body into the current settings;
+// ?action=reset starts from the defaults and then applies the body (which may be empty).
+// Unknown keys are rejected with 400 unless ?force=true, which drops them instead, so the
+// body's keys are checked here rather than by the schema.
+const patchSettingsSchema = {
+  params: settingsParams,
+  query: { action: oneOf(["update", "reset"], "action"), force: booleanFlag("force") }
+};
+
+app.patch("/users/:id/settings", auth, validate(patchSettingsSchema), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { action = 'update', force = 'false' } = req.query;
+    const settings = req.body || {};
+    
+    if (!isPlainObject(settings) || (action === "update" && Object.keys(settings).length === 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: "Settings data is required" 
+      });
+    }
+
+    const user = await loadSettingsOwner(req, res, "users:write");
+    if (!user) return;
+    if (!checkIfMatch(req, res, user)) return;
+
+    const previous = userSnapshot(user);
+    const base = action === "reset" ? {} : user.settings.toObject();
+    const merged = applyMergePatch(base, settings);
+
+    const unknown = unknownSettingKeys(merged);
+    if (unknown.length && force !== "true") {
+      return validationFailed(res, unknown.map(field => ({ location: "body", field, message: "Unknown field" })));
+    }
+    // force=true: drop them and keep the rest
+    unknown.forEach(key => {
+      const parts = key.split(".");
+      const parent = parts.slice(0, -1).reduce((node, part) => node[part], merged);
+      delete parent[parts[parts.length - 1]];
+    });
+
+    // Assigning the whole object re-applies defaults for keys the patch removed
+    user.settings = merged;
+    await user.save();
+    await recordUserVersion({ previous, after: user, action: "update", actor: actorOf(req) });
+    
+    res.set("ETag", userETag(user));
+    res.status(200).json({ 
+      success: true, 
+      message: action === "reset" ? "Settings reset!" : "Settings updated!", 
+      data: {
+        userId,
+        action,
+        force: force === "true",
+        settings: user.settings
+      }
+    });
+  } catch (error) {
+    if (error.name === "VersionError") return preconditionFailed(res, await User.findById(req.params.id));
+    if (error.name === "ValidationError") {
+      // Paths come back as settings.theme; the body is the settings object itself
+      return validationFailed(res, Object.values(error.errors).map(err => ({ 
+        location: "body", 
+        field: err.path.replace(/^settings\./, ""), 
+        message: err.message 
+      })));
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to update settings", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   // null removes a key, which puts it back to its default
+//   const response = await axios.patch('http://localhost:5000/users/64a1b2c3d4e5f6789012345/settings', {
+//     theme: 'dark',
+//     notifications: { sms: true },
+//     timezone: null
+//   }, {
+//     params: { action: 'update', force: false },
+//     headers: {
+//       'Authorization': 'Bearer your-token',
+//       'Content-Type': 'application/merge-patch+json'
+//     }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+// 12. Wildcard Route Parameters (file store rooted at FILES_ROOT)
+const FILES_ROOT = path.resolve(process.env.FILES_ROOT || "storage");
+fs.mkdirSync(FILES_ROOT, { recursive: true });
+const FILES_ROOT_REAL = fs.realpathSync(FILES_ROOT);
+
+const isInside = (target, root) => target === root || target.startsWith(root + path.sep);
+
+// Maps the wildcard part of /files/* onto FILES_ROOT; anything that would land outside it is refused
+const resolveFilePath = (req, res, next) => {
+  const relative = req.params[0] || "";
+  const target = path.resolve(FILES_ROOT, relative);
+
+  if (relative.includes("\0") || !isInside(target, FILES_ROOT)) {
+    return validationFailed(res, [{ location: "params", field: "path", message: "Invalid file path" }]);
+  }
+
+  req.filePath = target;
+  next();
+};
+
+// Same check after following symlinks, for paths that exist
+const realPathInsideRoot = async (target) => isInside(await fs.promises.realpath(target), FILES_ROOT_REAL);
+
+// For a directory that may not exist yet: follows the symlinks of its deepest existing ancestor,
+// so a linked directory inside FILES_ROOT can't carry a write or delete outside it
+const dirInsideRoot = async (dir) => {
+  let existing = dir;
+  while (!(await fs.promises.lstat(existing).catch(() => null))) existing = path.dirname(existing);
+  const real = await fs.promises.realpath(existing).catch(() => null);
+  return Boolean(real) && isInside(path.join(real, path.relative(existing, dir)), FILES_ROOT_REAL);
+};
+
+const invalidFilePath = (res) =>
+  validationFailed(res, [{ location: "params", field: "path", message: "Invalid file path" }]);
+
+const fileUpload = multer({
+  storage: multer.diskStorage({
+    // Checked again after mkdir, in case a link was swapped in since the route checked
+    destination: (req, file, cb) => {
+      const dir = path.dirname(req.filePath);
+      fs.promises.mkdir(dir, { recursive: true })
+        .then(() => realPathInsideRoot(dir))
+        .then(inside => (inside ? cb(null, dir) : cb(new Error("Invalid file path"))), cb);
+    },
+    // Written under a hidden temp name and renamed into place once complete
+    filename: (req, file, cb) => cb(null, `.upload-${crypto.randomUUID()}`)
+  }),
+  limits: {
+    fileSize: Number(process.env.FILES_MAX_UPLOAD_MB || 50) * 1024 * 1024
+  }
+});
+
+app.get("/files/*", resolveFilePath, async (req, res) => {
+  try {
+    const stats = await fs.promises.stat(req.filePath).catch(() => null);
+
+    if (!stats || !(await realPathInsideRoot(req.filePath))) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "File not found" 
+      });
+    }
+
+    if (stats.isDirectory()) {
+      const entries = await fs.promises.readdir(req.filePath, { withFileTypes: true });
+      const items = (await Promise.all(entries
+        .filter(entry => !entry.name.startsWith("."))
+        .map(async entry => {
+          const entryPath = path.join(req.filePath, entry.name);
+          // Broken links and links leading outside FILES_ROOT are left out rather than failing the listing
+          const entryStats = await fs.promises.stat(entryPath).catch(() => null);
+          if (!entryStats || !(await realPathInsideRoot(entryPath).catch(() => false))) return null;
+          return {
+            name: entry.name,
+            type: entryStats.isDirectory() ? "directory" : "file",
+            size: entryStats.isDirectory() ? null : entryStats.size,
+            modifiedAt: entryStats.mtime
+          };
+        }))).filter(Boolean);
+
+      return res.status(200).json({ 
+        success: true, 
+        message: "Directory listing", 
+        data: { path: req.params[0] || "", items }
+      });
+    }
+
+    // sendFile sets Content-Type from the extension and answers Range requests with 206
+    res.sendFile(req.filePath, { dotfiles: "deny" }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(error.status || 500).json({ 
+          success: false, 
+          message: "Failed to access file", 
+          error: error.message 
+        });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to access file", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   // Directory listing
+//   const listing = await axios.get('http://localhost:5000/files/documents/reports/2024/');
+//   console.log(listing.data);
+//
+//   // Download (resumable: the server honours Range headers)
+//   const response = await axios.get('http://localhost:5000/files/documents/reports/2024/january.pdf', {
+//     responseType: 'blob',
+//     headers: { 'Range': 'bytes=0-1048575' }
+//   });
+//   console.log(response.status, response.headers['content-type']);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.post("/files/*", auth, requirePermission("files:write"), validate({ query: { overwrite: booleanFlag("overwrite") } }), resolveFilePath, async (req, res) => {
+  if (req.filePath === FILES_ROOT) {
+    return validationFailed(res, [{ location: "params", field: "path", message: "File path is required" }]);
+  }
+  if (!(await dirInsideRoot(path.dirname(req.filePath)))) {
+    return invalidFilePath(res);
+  }
+
+  fileUpload.single("file")(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Failed to upload file", 
+          error: uploadError.message 
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "File is required" 
+        });
+      }
+
+      // lstat: an existing link is replaced by the rename, never followed
+      const existing = await fs.promises.lstat(req.filePath).catch(() => null);
+      const overwrite = req.query.overwrite === "true";
+
+      if (existing && (existing.isDirectory() || !overwrite)) {
+        await fs.promises.unlink(req.file.path);
+        return res.status(409).json({ 
+          success: false, 
+          message: existing.isDirectory() ? "A directory exists at that path" : "File already exists (use ?overwrite=true)" 
+        });
+      }
+
+      await fs.promises.rename(req.file.path, req.filePath);
+
+      res.status(existing ? 200 : 201).json({ 
+        success: true, 
+        message: existing ? "File replaced!" : "File uploaded!", 
+        data: { path: req.params[0], size: req.file.size, contentType: req.file.mimetype }
+      });
+    } catch (error) {
+      if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+      res.status(500).json({ 
+        success: false, 
+        message: "Failed to upload file", 
+        error: error.message 
+      });
+    }
+  });
+});
+// Frontend call: 
+// try {
+//   const formData = new FormData();
+//   formData.append('file', fileInput.files[0]);
+//   const response = await axios.post('http://localhost:5000/files/documents/reports/2024/january.pdf', formData, {
+//     params: { overwrite: true },
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.delete("/files/*", auth, requirePermission("files:write"), resolveFilePath, async (req, res) => {
+  try {
+    if (req.filePath === FILES_ROOT) {
+      return validationFailed(res, [{ location: "params", field: "path", message: "File path is required" }]);
+    }
+
+    // unlink/rmdir don't follow a link at the end of the path, but they do follow linked parents
+    const stats = (await dirInsideRoot(path.dirname(req.filePath)))
+      ? await fs.promises.lstat(req.filePath).catch(() => null)
+      : null;
+    if (!stats) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "File not found" 
+      });
+    }
+
+    if (stats.isDirectory()) {
+      // Only empty directories, so one request can't wipe a whole tree
+      await fs.promises.rmdir(req.filePath);
+    } else {
+      await fs.promises.unlink(req.filePath);
+    }
+
+    res.status(200).json({ 
+      success: true, 
+      message: "File deleted!", 
+      data: { path: req.params[0] }
+    });
+  } catch (error) {
+    if (error.code === "ENOTEMPTY") {
+      return res.status(409).json({ 
+        success: false, 
+        message: "Directory is not empty" 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to delete file", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.delete('http://localhost:5000/files/documents/reports/2024/january.pdf', {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+// 13. Optional Route Parameters (using regex)
+// GET /products/:productId and /products/:productId/reviews/:reviewId (Mongo ObjectIds)
+const PRODUCT_ROUTE = /^\/products\/([0-9a-fA-F]{24})(?:\/reviews\/([0-9a-fA-F]{24}))?$/;
+const PRODUCT_SORT_FIELDS = ["name", "price", "averageRating", "reviewCount", "createdAt"];
+const PRODUCT_FIELDS = ["name", "description", "price", "category"];
+const REVIEW_FIELDS = ["rating", "comment"];
+
+app.get(PRODUCT_ROUTE, async (req, res) => {
+  try {
+    const productId = req.params[0];
+    const reviewId = req.params[1];
+
+    if (reviewId) {
+      const review = await Review.findOne({ _id: reviewId, product: productId }).populate("user", "name");
+      if (!review) {
+        return res.status(404).json({ 
+          success: false, 
+          message: "Review not found" 
+        });
+      }
+      return res.status(200).json({ 
+        success: true, 
+        message: "Review found!", 
+        data: review
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Product not found" 
+      });
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      message: "Product found!", 
+      data: product
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to fetch product", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   // Without reviewId
+//   const response = await axios.get('http://localhost:5000/products/64a1b2c3d4e5f6789012345');
+//   console.log(response.data);
+//   
+//   // With reviewId
+//   const response2 = await axios.get('http://localhost:5000/products/64a1b2c3d4e5f6789012345/reviews/64a1b2c3d4e5f6789012346');
+//   console.log(response2.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+const productRouteParams = { productId: objectId("product ID") };
+const reviewRouteParams = { productId: objectId("product ID"), reviewId: objectId("review ID") };
+
+// Authors edit and delete their own reviews (reviews:write); reviews:moderate may only delete others'
+const isReviewAuthor = (req, review) => String(req.user.id) === String(review.user);
+
+app.put("/products/:productId/reviews/:reviewId", auth, requirePermission("reviews:write"), validate({ params: reviewRouteParams, body: schemaFromModel(Review, REVIEW_FIELDS, { partial: true }) }), async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+
+    const review = await Review.findOne({ _id: reviewId, product: productId });
+    if (!review) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Review not found" 
+      });
+    }
+    if (!isReviewAuthor(req, review)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "You can only edit your own reviews" 
+      });
+    }
+
+    REVIEW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) review[field] = req.body[field];
+    });
+    await review.save();
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Review updated!", 
+      data: review
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      message: "Failed to update review", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.put('http://localhost:5000/products/64a1b2c3d4e5f6789012345/reviews/64a1b2c3d4e5f6789012346', {
+//     rating: 4
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.put("/products/:productId", auth, requirePermission("products:write"), validate({ params: productRouteParams, body: schemaFromModel(Product, PRODUCT_FIELDS, { partial: true }) }), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Product not found" 
+      });
+    }
+
+    PRODUCT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) product[field] = req.body[field];
+    });
+    await product.save();
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Product updated!", 
+      data: product
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      message: "Failed to update product", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.put('http://localhost:5000/products/64a1b2c3d4e5f6789012345', {
+//     price: 19.99
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.delete("/products/:productId/reviews/:reviewId", auth, validate({ params: reviewRouteParams }), async (req, res) => {
+  try {
+    const { productId, reviewId } = req.params;
+
+    const review = await Review.findOne({ _id: reviewId, product: productId });
+    if (!review) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Review not found" 
+      });
+    }
+    if (!hasPermission(req.user, isReviewAuthor(req, review) ? "reviews:write" : "reviews:moderate")) {
+      return res.status(403).json({ 
+        success: false, 
+        message: "You can only delete your own reviews" 
+      });
+    }
+
+    await Review.findOneAndDelete({ _id: reviewId });
+    res.status(200).json({ 
+      success: true, 
+      message: "Review deleted!", 
+      data: { id: reviewId }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to delete review", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.delete('http://localhost:5000/products/64a1b2c3d4e5f6789012345/reviews/64a1b2c3d4e5f6789012346', {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.delete("/products/:productId", auth, requirePermission("products:write"), validate({ params: productRouteParams }), async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const product = await Product.findByIdAndDelete(productId);
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Product not found" 
+      });
+    }
+    await Review.deleteMany({ product: productId });
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Product deleted!", 
+      data: { id: productId }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to delete product", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.delete('http://localhost:5000/products/64a1b2c3d4e5f6789012345', {
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+const listProductsSchema = {
+  query: {
+    minPrice: { optional: true, isFloat: { errorMessage: "minPrice must be a number" } },
+    maxPrice: { optional: true, isFloat: { errorMessage: "maxPrice must be a number" } },
+    category: { optional: true, isString: { errorMessage: "category must be a string" } },
+    sortBy: oneOf(PRODUCT_SORT_FIELDS, "sortBy"),
+    order: oneOf(["asc", "desc"], "order"),
+    ...pagination()
+  }
+};
+
+app.get("/products", validate(listProductsSchema), async (req, res) => {
+  try {
+    const { minPrice, maxPrice, category, page = 1, limit = 10, sortBy = "createdAt", order = "desc" } = req.query;
+
+    const filter = {};
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      filter.price = {};
+      if (minPrice !== undefined) filter.price.$gte = Number(minPrice);
+      if (maxPrice !== undefined) filter.price.$lte = Number(maxPrice);
+    }
+    // ?category=books or ?category=books,games
+    if (category) filter.category = { $in: String(category).toLowerCase().split(",") };
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ [sortBy]: order === "desc" ? -1 : 1, _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Product.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Products list", 
+      products,
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to fetch products", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.get('http://localhost:5000/products', {
+//     params: { minPrice: 10, maxPrice: 50, category: 'books,games', sortBy: 'averageRating', order: 'desc' }
+//   });
+//   console.log(response.data);
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+app.post("/products", auth, requirePermission("products:write"), validate({ body: schemaFromModel(Product, PRODUCT_FIELDS) }), async (req, res) => {
+  try {
+    const { name, description, price, category } = req.body;
+    const product = new Product({ name, description, price, category });
+    await product.save();
+
+    res.status(201).json({ 
+      success: true, 
+      message: "Product created!", 
+      data: product
+    });
+  } catch (error) {
+    res.status(400).json({ 
+      success: false, 
+      message: "Failed to create product", 
+      error: error.message 
+    });
   }
 });
 // Frontend call: 
 // try {
-//   const response = await axios.post('http://localhost:5000/users/bulk', [
-//     { name: 'User1', email: 'user1@email.com', age: 25 },
-//     { name: 'User2', email: 'user2@email.com', age: 30 }
-//   ], {
-//     params: { notify: true, sendEmail: false }
+//   const response = await axios.post('http://localhost:5000/products', {
+//     name: 'Node.js Handbook',
+//     price: 29.99,
+//     category: 'books'
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token' }
 //   });
 //   console.log(response.data);
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
-// 11. All Combined: Route Params + Query Params + Headers + Body
-app.patch("/users/:id/settings", async (req, res) => {
+const productParams = { id: objectId("product ID") };
+
+app.get("/products/:id/reviews", validate({ params: productParams, query: pagination() }), async (req, res) => {
   try {
-    const userId = req.params.id;
-    const { action = 'update', force = false } = req.query;
-    const authToken = req.headers.authorization;
-    const settings = req.body;
-    
-    if (!authToken) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "Authorization required" 
-      });
-    }
-    
-    if (!settings || Object.keys(settings).length === 0) {
-      return res.status(400).json({ 
+    const { page = 1, limit = 10 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+    const filter = { product: req.params.id };
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate("user", "name")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Review.countDocuments(filter)
+    ]);
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Reviews list", 
+      reviews,
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to fetch reviews", 
+      error: error.message 
+    });
+  }
+});
+
+app.post("/products/:id/reviews", auth, requirePermission("reviews:write"), validate({ params: productParams, body: schemaFromModel(Review, REVIEW_FIELDS) }), async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+
+    if (!(await Product.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ 
         success: false, 
-        message: "Settings data is required" 
+        message: "Product not found" 
       });
     }
-    
-    res.status(200).json({ 
+
+    // The reviewer is always the caller
+    const review = new Review({ product: req.params.id, user: req.user.id, rating, comment });
+    await review.save();
+
+    res.status(201).json({ 
       success: true, 
-      message: "Settings updated!", 
-      data: {
-        userId,
-        action,
-        force: JSON.parse(force),
-        authToken,
-        newSettings: settings
-      }
+      message: "Review added!", 
+      data: review
     });
   } catch (error) {
-    res.status(500).json({ 
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        success: false, 
+        message: "You have already reviewed this product" 
+      });
+    }
+    res.status(400).json({ 
       success: false, 
-      message: "Failed to update settings", 
+      message: "Failed to add review", 
       error: error.message 
     });
   }
 });
 // Frontend call: 
 // try {
-//   const response = await axios.patch('http://localhost:5000/users/123/settings', {
-//     theme: 'dark',
-//     notifications: true
+//   const response = await axios.post('http://localhost:5000/products/64a1b2c3d4e5f6789012345/reviews', {
+//     rating: 5,
+//     comment: 'Great book!'
 //   }, {
-//     params: { action: 'update', force: true },
-//     headers: {
-//       'Authorization': 'Bearer your-token'
-//     }
+//     headers: { 'Authorization': 'Bearer your-token' }
 //   });
 //   console.log(response.data);
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
-// 12. Wildcard Route Parameters
-app.get("/files/*", (req, res) => {
+// 14. Form Data (application/x-www-form-urlencoded)
+app.use(express.urlencoded({ extended: true }));
+
+const CONTACT_HONEYPOT_FIELD = process.env.CONTACT_HONEYPOT_FIELD || "website";
+const CONTACT_MAX_LINKS = Number(process.env.CONTACT_MAX_LINKS || 2);
+const CONTACT_DUPLICATE_WINDOW_MS = Number(process.env.CONTACT_DUPLICATE_WINDOW_HOURS || 24) * 60 * 60 * 1000;
+const CONTACT_STATUSES = contactMessageSchema.path("status").enumValues;
+
+const contactFingerprint = (email, message) => crypto
+  .createHash("sha256")
+  .update(`${String(email).trim().toLowerCase()}\n${String(message).replace(/\s+/g, " ").trim().toLowerCase()}`)
+  .digest("hex");
+
+const contactParams = { id: objectId("message ID") };
+const createContactSchema = {
+  body: {
+    ...schemaFromModel(ContactMessage, ["name", "email", "message"]),
+    [CONTACT_HONEYPOT_FIELD]: { optional: true }
+  }
+};
+
+app.post("/contact", validate(createContactSchema), async (req, res) => {
   try {
-    const filePath = req.params[0];
-    
-    if (!filePath) {
+    const { name, email, message } = req.body;
+
+    // Bots fill in the hidden field; pretend it worked so they don't adapt
+    if (req.body[CONTACT_HONEYPOT_FIELD]) {
+      return res.status(201).json({ 
+        success: true, 
+        message: "Contact form submitted!" 
+      });
+    }
+
+    const links = (String(message).match(/https?:\/\/|www\./gi) || []).length;
+    if (links > CONTACT_MAX_LINKS) {
       return res.status(400).json({ 
         success: false, 
-        message: "File path is required" 
+        message: `Messages may contain at most ${CONTACT_MAX_LINKS} links` 
+      });
+    }
+
+    const fingerprint = contactFingerprint(email, message);
+    const duplicate = await ContactMessage.exists({
+      fingerprint,
+      createdAt: { $gt: new Date(Date.now() - CONTACT_DUPLICATE_WINDOW_MS) }
+    });
+    if (duplicate) {
+      return res.status(409).json({ 
+        success: false, 
+        message: "This message has already been submitted" 
       });
     }
+
+    const contact = new ContactMessage({
+      name,
+      email,
+      message,
+      fingerprint,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"]
+    });
+    await contact.save();
+
+    notify("contact.created", { id: contact._id, name: contact.name, email: contact.email, message: contact.message });
     
-    res.status(200).json({ 
+    res.status(201).json({ 
       success: true, 
-      message: "File requested", 
-      data: { fullPath: filePath }
+      message: "Contact form submitted!", 
+      data: { id: contact._id, name: contact.name, email: contact.email, message: contact.message }
     });
   } catch (error) {
     res.status(500).json({ 
       success: false, 
-      message: "Failed to access file", 
+      message: "Failed to submit contact form", 
       error: error.message 
     });
   }
 });
-// Frontend call: 
+// Frontend call (form data):
 // try {
-//   const response = await axios.get('http://localhost:5000/files/documents/reports/2024/january.pdf');
+//   const formData = new URLSearchParams();
+//   formData.append('name', 'John');
+//   formData.append('email', 'john@email.com');
+//   formData.append('message', 'Hello there!');
+//   formData.append('website', ''); // honeypot: render it hidden, real users leave it empty
+//   
+//   const response = await axios.post('http://localhost:5000/contact', formData, {
+//     headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+//   });
 //   console.log(response.data);
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
-// 13. Optional Route Parameters (using regex)
-app.get(/^\/products\/(\d+)(?:\/reviews\/(\d+))?$/, (req, res) => {
+const listContactSchema = {
+  query: {
+    status: oneOf(CONTACT_STATUSES, "status"),
+    email: { optional: true, isString: { errorMessage: "email must be a string" } },
+    q: { optional: true, isString: { errorMessage: "q must be a string" } },
+    from: { optional: true, isISO8601: { errorMessage: "from must be an ISO 8601 date" } },
+    to: { optional: true, isISO8601: { errorMessage: "to must be an ISO 8601 date" } },
+    ...pagination()
+  }
+};
+
+app.get("/contact", auth, requirePermission("contact:manage"), validate(listContactSchema), async (req, res) => {
   try {
-    const productId = req.params[0];
-    const reviewId = req.params[1];
-    
+    const { status, email, q, from, to, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (email) filter.email = String(email).toLowerCase();
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), "i");
+      filter.$or = [{ name: pattern }, { message: pattern }];
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [messages, total] = await Promise.all([
+      ContactMessage.find(filter).select("-fingerprint").sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+      ContactMessage.countDocuments(filter)
+    ]);
+
     res.status(200).json({ 
       success: true, 
-      message: "Product route", 
-      data: {
-        productId,
-        reviewId: reviewId || null
-      }
+      message: "Contact messages", 
+      messages,
+      pagination: { page: pageNum, limit: limitNum, total, totalPages: Math.ceil(total / limitNum) }
     });
   } catch (error) {
     res.status(500).json({ 
       success: false, 
-      message: "Failed to fetch product", 
+      message: "Failed to fetch contact messages", 
       error: error.message 
     });
   }
 });
 // Frontend call: 
 // try {
-//   // Without reviewId
-//   const response = await axios.get('http://localhost:5000/products/123');
+//   const response = await axios.get('http://localhost:5000/contact', {
+//     params: { status: 'new', page: 1, limit: 20 },
+//     headers: { 'Authorization': 'Bearer your-token' }
+//   });
 //   console.log(response.data);
-//   
-//   // With reviewId
-//   const response2 = await axios.get('http://localhost:5000/products/123/reviews/456');
-//   console.log(response2.data);
 // } catch (error) {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
-// 14. Form Data (application/x-www-form-urlencoded)
-app.use(express.urlencoded({ extended: true }));
-app.post("/contact", (req, res) => {
+const updateContactSchema = { params: contactParams, body: schemaFromModel(ContactMessage, ["status"], { required: ["status"] }) };
+
+app.patch("/contact/:id", auth, requirePermission("contact:manage"), validate(updateContactSchema), async (req, res) => {
   try {
-    const { name, email, message } = req.body;
-    
-    if (!name || !email || !message) {
-      return res.status(400).json({ 
+    const { status } = req.body;
+
+    const contact = await ContactMessage.findByIdAndUpdate(req.params.id, { status }, { new: true }).select("-fingerprint");
+    if (!contact) {
+      return res.status(404).json({ 
         success: false, 
-        message: "Name, email, and message are required" 
+        message: "Contact message not found" 
       });
     }
-    
+
     res.status(200).json({ 
       success: true, 
-      message: "Contact form submitted!", 
-      data: { name, email, message }
+      message: "Contact message updated!", 
+      data: contact
     });
   } catch (error) {
     res.status(500).json({ 
       success: false, 
-      message: "Failed to submit contact form", 
+      message: "Failed to update contact message", 
       error: error.message 
     });
   }
 });
-// Frontend call (form data):
+
+const replyContactSchema = { params: contactParams, body: { message: { trim: true, ...requiredString("message") } } };
+
+app.post("/contact/:id/reply", auth, requirePermission("contact:manage"), validate(replyContactSchema), async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    const contact = await ContactMessage.findById(req.params.id).select("-fingerprint");
+    if (!contact) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Contact message not found" 
+      });
+    }
+
+    await sendMail({
+      to: contact.email,
+      subject: "Re: your message",
+      text: `${message}\n\n--- You wrote ---\n${contact.message}`
+    });
+
+    contact.replies.push({ message, repliedBy: req.user.id });
+    contact.status = "replied";
+    await contact.save();
+
+    res.status(200).json({ 
+      success: true, 
+      message: "Reply sent!", 
+      data: contact
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: "Failed to send reply", 
+      error: error.message 
+    });
+  }
+});
+// Frontend call: 
 // try {
-//   const formData = new URLSearchParams();
-//   formData.append('name', 'John');
-//   formData.append('email', 'john@email.com');
-//   formData.append('message', 'Hello there!');
-//   
-//   const response = await axios.post('http://localhost:5000/contact', formData, {
-//     headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+//   const response = await axios.post('http://localhost:5000/contact/64a1b2c3d4e5f6789012345/reply', {
+//     message: 'Thanks for reaching out!'
+//   }, {
+//     headers: { 'Authorization': 'Bearer your-token' }
 //   });
 //   console.log(response.data);
 // } catch (error) {
@@ -580,19 +2581,70 @@ app.post("/contact", (req, res) => {
 // }
 
 // 15. Array Query Parameters
-app.get("/filter", async (req, res) => {
+// Facet counts per value of an array field, over the documents matching `filter`
+const facetFor = (field) => [
+  { $unwind: `$${field}` },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: "$_id", count: 1 } }
+];
+
+// ids are left to the handler: invalid ones are reported back, not rejected
+const filterQuerySchema = {
+  query: {
+    tagsMode: oneOf(["any", "all"], "tagsMode"),
+    categoriesMode: oneOf(["any", "all"], "categoriesMode"),
+    sortBy: oneOf(USER_SORT_FIELDS, "sortBy"),
+    order: oneOf(["asc", "desc"], "order"),
+    ...pagination()
+  }
+};
+
+app.get("/filter", validate(filterQuerySchema), async (req, res) => {
   try {
-    let { tags, categories, ids } = req.query;
+    let { tags, categories, ids, tagsMode = "any", categoriesMode = "any" } = req.query;
     
     // Handle arrays in query params
     tags = Array.isArray(tags) ? tags : [tags].filter(Boolean);
     categories = Array.isArray(categories) ? categories : [categories].filter(Boolean);
     ids = Array.isArray(ids) ? ids : [ids].filter(Boolean);
+
+    tags = tags.map(tag => String(tag).trim().toLowerCase());
+    categories = categories.map(category => String(category).trim().toLowerCase());
+
+    // Invalid ids are skipped (and reported) rather than failing the whole query
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const ignoredIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+
+    // "any" matches users with at least one of the values, "all" only users with every one
+    const filter = { deletedAt: null };
+    if (tags.length) filter.tags = { [tagsMode === "all" ? "$all" : "$in"]: tags };
+    if (categories.length) filter.categories = { [categoriesMode === "all" ? "$all" : "$in"]: categories };
+    if (ids.length) filter._id = { $in: validIds.map(id => new mongoose.Types.ObjectId(id)) };
+
+    const { page, limit, skip, sort } = getPagination(req.query);
+
+    const [users, total, [facets]] = await Promise.all([
+      User.find(filter, HIDDEN_USER_FIELDS).sort(sort).skip(skip).limit(limit),
+      User.countDocuments(filter),
+      User.aggregate([
+        { $match: filter },
+        { $facet: { tags: facetFor("tags"), categories: facetFor("categories") } }
+      ])
+    ]);
     
     res.status(200).json({ 
       success: true, 
       message: "Filtered results", 
-      data: { tags, categories, ids }
+      users,
+      facets,
+      meta: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        query: { tags, tagsMode, categories, categoriesMode, ids: validIds, ignoredIds }
+      }
     });
   } catch (error) {
     res.status(500).json({ 
@@ -607,8 +2659,12 @@ app.get("/filter", async (req, res) => {
 //   const response = await axios.get('http://localhost:5000/filter', {
 //     params: { 
 //       tags: ['javascript', 'nodejs'], 
+//       tagsMode: 'all',
 //       categories: ['web'], 
-//       ids: [1, 2, 3] 
+//       ids: ['64a1b2c3d4e5f6789012345', '64a1b2c3d4e5f6789012346'],
+//       page: 1,
+//       limit: 10,
+//       sortBy: 'name'
 //     },
 //     paramsSerializer: params => {
 //       const searchParams = new URLSearchParams();
@@ -627,6 +2683,325 @@ app.get("/filter", async (req, res) => {
 //   console.error('Error:', error.response?.data || error.message);
 // }
 
+// 16. Streaming Responses & CSV Uploads (users export/import)
+const EXPORT_FIELDS = ["_id", "name", "email", "age", "city", "isActive", "tags", "categories"];
+const IMPORT_FIELDS = ["name", "email", "age", "city", "isActive", "tags", "categories"];
+const LIST_FIELDS = ["tags", "categories"];
+const IMPORT_MAX_MB = Number(process.env.IMPORT_MAX_MB || 5);
+
+// One CSV cell: lists joined with ";", quoted when needed. Text starting with = + - @
+// is prefixed with ' so spreadsheets don't run it as a formula.
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = Array.isArray(value) ? value.join(";") : value instanceof Date ? value.toISOString() : String(value);
+  if ((typeof value === "string" || Array.isArray(value)) && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(toCsvCell).join(",") + "\r\n";
+
+// RFC 4180: quoted fields may contain commas, "" and line breaks; \n and \r\n both end a record
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  text = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (cell !== "" || record.length) {
+    record.push(cell);
+    records.push(record);
+  }
+  return records;
+};
+
+// Waits for the socket to drain (or close) instead of buffering the whole export in memory
+const writeChunk = (res, chunk) => new Promise(resolve => {
+  if (res.write(chunk) || res.destroyed) return resolve();
+  const done = () => {
+    res.off("drain", done);
+    res.off("close", done);
+    resolve();
+  };
+  res.on("drain", done);
+  res.on("close", done);
+});
+
+const exportQuerySchema = {
+  query: {
+    ...searchFilterQuery,
+    format: oneOf(["csv", "ndjson"], "format"),
+    sortBy: oneOf(EXPORT_FIELDS, "sortBy"),
+    order: oneOf(["asc", "desc"], "order")
+  }
+};
+
+app.get("/users/export", auth, requirePermission("users:export"), validate(exportQuerySchema), async (req, res) => {
+  const visibility = visibilityFilter(req);
+  if (!visibility) return includeDeletedForbidden(res);
+
+  const { format = "csv", sortBy = "_id", order = "asc" } = req.query;
+  const fields = req.query.fields ? String(req.query.fields).split(",").map(field => field.trim()) : EXPORT_FIELDS;
+
+  const unknownField = fields.find(field => !EXPORT_FIELDS.includes(field));
+  if (unknownField) {
+    return validationFailed(res, [
+      { location: "query", field: "fields", message: `Unknown field: ${unknownField}`, allowed: EXPORT_FIELDS }
+    ]);
+  }
+
+  // _id as tie-breaker keeps the order stable while the cursor walks the collection
+  const sort = { [sortBy]: order === "desc" ? -1 : 1, _id: 1 };
+  const cursor = User.find({ ...buildSearchFilter(req.query), ...visibility })
+    .select(fields.join(" "))
+    .sort(sort)
+    .lean()
+    .cursor();
+
+  try {
+    const filename = `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.status(200);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") await writeChunk(res, toCsvLine(fields));
+
+    for await (const user of cursor) {
+      if (res.destroyed) break;
+      await writeChunk(res, format === "csv"
+        ? toCsvLine(fields.map(field => user[field]))
+        : JSON.stringify(user) + "\n");
+    }
+    res.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ 
+        success: false, 
+        message: "Failed to export users", 
+        error: error.message 
+      });
+    } else {
+      // Too late for a JSON error; cutting the connection tells the client the file is incomplete
+      res.destroy(error);
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+});
+// Frontend call: 
+// try {
+//   const response = await axios.get('http://localhost:5000/users/export', {
+//     params: { format: 'csv', city: 'Delhi', fields: 'name,email,city' },
+//     headers: { 'Authorization': 'Bearer your-token' },
+//     responseType: 'blob'
+//   });
+//   const link = document.createElement('a');
+//   link.href = URL.createObjectURL(response.data);
+//   link.download = 'users.csv';
+//   link.click();
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_MB * 1024 * 1024, files: 1 }
+});
+
+// Column header -> user field. Explicit `mapping` entries win; otherwise a header that
+// already names an import field is used as-is and anything else is ignored.
+const buildColumnMap = (headers, mapping) => headers.map(header => {
+  const key = header.trim();
+  if (Object.prototype.hasOwnProperty.call(mapping, key)) return mapping[key] || null;
+  return IMPORT_FIELDS.find(field => field.toLowerCase() === key.toLowerCase()) || null;
+});
+
+const rowToUser = (cells, columnMap) => {
+  const user = {};
+  columnMap.forEach((field, i) => {
+    const value = (cells[i] || "").trim();
+    if (!field || value === "") return;
+    user[field] = LIST_FIELDS.includes(field)
+      ? value.split(";").map(item => item.trim()).filter(Boolean)
+      : value;
+  });
+  return user;
+};
+
+// Rows that were not imported, with the original columns, for ?report=csv
+const buildErrorReport = (headers, rows, results) => {
+  let report = toCsvLine(["row", "status", "reason", ...headers]);
+  results
+    .filter(result => result.status === "error" || result.status === "skipped")
+    .forEach(result => {
+      const row = rows[result.index];
+      report += toCsvLine([row.line, result.status, result.reason, ...row.cells]);
+    });
+  return report;
+};
+
+// multipart/form-data: file=<csv>, mapping={"E-mail":"email","Full name":"name"} (optional JSON).
+// ?report=csv answers with the error report as a download instead of JSON.
+const CSV_IMPORT_DEFAULTS = { ordered: false, dryRun: false, upsert: false, notify: false, sendEmail: false };
+const importQuerySchema = importOptionsSchema(CSV_IMPORT_DEFAULTS);
+importQuerySchema.query.report = oneOf(["csv"], "report");
+
+app.post("/users/import", auth, requirePermission("users:bulk"), validate(importQuerySchema), (req, res) => {
+  csvUpload.single("file")(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        return res.status(uploadError.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({ 
+          success: false, 
+          message: "Failed to upload file", 
+          error: uploadError.message 
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "CSV file is required (field \"file\")" 
+        });
+      }
+
+      const options = getImportOptions(req.query, CSV_IMPORT_DEFAULTS);
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping);
+        } catch (err) {
+          mapping = null;
+        }
+        const badTarget = isPlainObject(mapping)
+          ? Object.values(mapping).find(field => field && !IMPORT_FIELDS.includes(field))
+          : undefined;
+        if (!isPlainObject(mapping) || badTarget) {
+          return validationFailed(res, [{ 
+            location: "body", 
+            field: "mapping", 
+            message: badTarget ? `Cannot map a column to ${badTarget}` : "mapping must be a JSON object", 
+            allowed: IMPORT_FIELDS 
+          }]);
+        }
+      }
+
+      let records;
+      try {
+        records = parseCsv(req.file.buffer.toString("utf8"));
+      } catch (err) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "Invalid CSV", 
+          error: err.message 
+        });
+      }
+
+      const [headers = [], ...body] = records;
+      // line = record number in the file, header being 1; blank lines are dropped
+      const rows = body
+        .map((cells, i) => ({ line: i + 2, cells }))
+        .filter(row => row.cells.some(cell => cell.trim() !== ""));
+
+      if (rows.length === 0) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "CSV has no data rows" 
+        });
+      }
+
+      if (rows.length > BULK_MAX_ITEMS) {
+        return res.status(413).json({ 
+          success: false, 
+          message: `At most ${BULK_MAX_ITEMS} rows per import` 
+        });
+      }
+
+      const columnMap = buildColumnMap(headers, mapping);
+      if (!columnMap.some(Boolean)) {
+        return res.status(400).json({ 
+          success: false, 
+          message: "No column maps to a user field", 
+          allowed: IMPORT_FIELDS 
+        });
+      }
+
+      const { results, summary } = await importUsers(rows.map(row => rowToUser(row.cells, columnMap)), options, req.user.id);
+      results.forEach(result => { result.row = rows[result.index].line; });
+
+      if (options.notify && !options.dryRun) {
+        notify("users.bulkImported", { summary, actor: req.user.id });
+      }
+
+      const wrote = !options.dryRun && summary.created + summary.updated > 0;
+
+      if (req.query.report === "csv") {
+        res.setHeader("Content-Disposition", 'attachment; filename="import-errors.csv"');
+        res.setHeader("X-Import-Summary", JSON.stringify(summary));
+        return res.status(wrote ? 201 : 200).type("text/csv").send(buildErrorReport(headers, rows, results));
+      }
+
+      res.status(wrote ? 201 : 200).json({ 
+        success: summary.errors === 0, 
+        message: options.dryRun ? "CSV validated (dry run)" : "CSV imported!", 
+        columns: headers.map((header, i) => ({ header, field: columnMap[i] })),
+        summary,
+        results,
+        options
+      });
+    } catch (error) {
+      res.status(500).json({ 
+        success: false, 
+        message: "Failed to import users", 
+        error: error.message 
+      });
+    }
+  });
+});
+// Frontend call: 
+// try {
+//   const formData = new FormData();
+//   formData.append('file', fileInput.files[0]);
+//   formData.append('mapping', JSON.stringify({ 'Full name': 'name', 'E-mail': 'email' }));
+//   const response = await axios.post('http://localhost:5000/users/import', formData, {
+//     params: { dryRun: true, report: 'csv' },
+//     headers: { 'Authorization': 'Bearer your-token' },
+//     responseType: 'blob'
+//   });
+//   console.log(JSON.parse(response.headers['x-import-summary']));
+// } catch (error) {
+//   console.error('Error:', error.response?.data || error.message);
+// }
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);